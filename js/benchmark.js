@@ -0,0 +1,195 @@
+/**
+ * ==========================================
+ * RENDER BENCHMARK (benchmark.html)
+ * ==========================================
+ * Times Game.render() on boards with many magnets, repainting every layer and
+ * with the layers cached, and the attraction pair search through the spatial
+ * grid against comparing every pair.
+ * Magnets are scattered with a fixed seed, so runs are comparable.
+ */
+
+(function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const MAGNET_COUNTS = [100, 500, 2000];
+    const WARMUP_FRAMES = 5;
+    const FRAMES = 60;
+    const PAIR_RUNS = 20;
+    const SEED = 12345;
+
+    const elements = {
+        canvas: document.getElementById('gameCanvas'),
+        runBtn: document.getElementById('benchmarkRunBtn'),
+        status: document.getElementById('benchmarkStatus'),
+        results: document.getElementById('benchmarkResults'),
+    };
+
+    // ==========================================
+    // RUNNING
+    // ==========================================
+
+    function init() {
+        Game.init(elements.canvas);
+        elements.runBtn.addEventListener('click', run);
+    }
+
+    function run() {
+        elements.runBtn.disabled = true;
+        elements.results.innerHTML = '';
+
+        const counts = [...MAGNET_COUNTS];
+        // One board size per task, so the page repaints in between
+        function next() {
+            const count = counts.shift();
+            if (count === undefined) {
+                elements.status.textContent = 'Done';
+                elements.runBtn.disabled = false;
+                return;
+            }
+            elements.status.textContent = `Measuring ${count} magnets…`;
+            setTimeout(() => {
+                addRow(measure(count));
+                next();
+            }, 50);
+        }
+        next();
+    }
+
+    function measure(count) {
+        const state = createState(count);
+        Game.updateState(state);
+
+        for (let i = 0; i < WARMUP_FRAMES; i++) {
+            Game.invalidate();
+            Game.render();
+        }
+        const frames = [];
+        for (let i = 0; i < FRAMES; i++) {
+            const start = performance.now();
+            Game.invalidate();
+            Game.render();
+            frames.push(performance.now() - start);
+        }
+        const cachedFrames = [];
+        for (let i = 0; i < FRAMES; i++) {
+            const start = performance.now();
+            Game.render();
+            cachedFrames.push(performance.now() - start);
+        }
+
+        const grid = Spatial.createGrid(Game.ATTRACTION_RANGE);
+        let pairs = 0;
+        const gridTime = median(PAIR_RUNS, () => {
+            pairs = 0;
+            grid.build(state.magnets, m => m.position);
+            grid.forEachPair(Game.ATTRACTION_RANGE, () => pairs++);
+        });
+        const naiveTime = median(PAIR_RUNS, () => countPairsNaively(state.magnets));
+
+        frames.sort((a, b) => a - b);
+        return {
+            count,
+            pairs,
+            average: frames.reduce((sum, t) => sum + t, 0) / frames.length,
+            p95: frames[Math.floor(frames.length * 0.95)],
+            cached: cachedFrames.reduce((sum, t) => sum + t, 0) / cachedFrames.length,
+            gridTime,
+            naiveTime,
+        };
+    }
+
+    /**
+     * The search drawAttractionLines used before the spatial grid
+     */
+    function countPairsNaively(magnets) {
+        let pairs = 0;
+        for (let i = 0; i < magnets.length; i++) {
+            for (let j = i + 1; j < magnets.length; j++) {
+                const dx = magnets[j].position.x - magnets[i].position.x;
+                const dy = magnets[j].position.y - magnets[i].position.y;
+                if (Math.sqrt(dx * dx + dy * dy) <= Game.ATTRACTION_RANGE) pairs++;
+            }
+        }
+        return pairs;
+    }
+
+    function median(runs, task) {
+        const times = [];
+        for (let i = 0; i < runs; i++) {
+            const start = performance.now();
+            task();
+            times.push(performance.now() - start);
+        }
+        times.sort((a, b) => a - b);
+        return times[Math.floor(runs / 2)];
+    }
+
+    // ==========================================
+    // TEST BOARDS
+    // ==========================================
+
+    function createState(count) {
+        const random = createRandom(SEED + count);
+        const players = Array.from({ length: 4 }, (_, i) => ({
+            id: `p${i + 1}`,
+            name: `Player ${i + 1}`,
+            remainingMagnets: 0,
+            connected: true,
+        }));
+
+        return {
+            sessionId: 'BENCH',
+            shapeType: 'square',
+            status: 'finished', // No turn, so no placement preview
+            hostPlayerId: 'p1',
+            currentTurnPlayerId: null,
+            players,
+            magnets: Array.from({ length: count }, (_, i) => ({
+                id: `m${i}`,
+                playerId: players[i % players.length].id,
+                position: {
+                    x: Math.round(random() * Shapes.CANVAS_WIDTH),
+                    y: Math.round(random() * Shapes.CANVAS_HEIGHT),
+                },
+            })),
+        };
+    }
+
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+            return state / 4294967296;
+        };
+    }
+
+    // ==========================================
+    // RESULTS
+    // ==========================================
+
+    function addRow(result) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${result.count}</td>
+            <td>${result.pairs}</td>
+            <td>${result.average.toFixed(2)} ms</td>
+            <td>${result.p95.toFixed(2)} ms</td>
+            <td>${result.cached.toFixed(2)} ms</td>
+            <td>${result.gridTime.toFixed(3)} ms</td>
+            <td>${result.naiveTime.toFixed(3)} ms</td>
+        `;
+        elements.results.appendChild(row);
+        console.log(`[Benchmark] ${result.count} magnets: ${result.average.toFixed(2)} ms/frame`, result);
+    }
+
+    // ==========================================
+    // START
+    // ==========================================
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,188 @@
+/**
+ * ==========================================
+ * BOARD GENERATOR MODULE
+ * ==========================================
+ * Seeded random boards: a blob, star or polygon outline built from a number
+ * The same seed always gives the same board, so the shape id 'random:<seed>'
+ * is all clients and the server need to agree on it.
+ *
+ * Every outline is a single simple polygon around the board center, at least
+ * MIN_AREA_RATIO of the board and never narrower than MIN_RADIUS from the center.
+ */
+
+const BoardGenerator = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const PREFIX = 'random';
+    const MAX_SEED = 999999999;
+    const MAX_RADIUS = 250;          // px - vertical reach from the center
+    const MIN_RADIUS = 70;           // px - leaves room for magnets near the middle
+    const STRETCH_X = 1.3;           // The board is wider than it is tall
+    const MIN_AREA_RATIO = 0.2;      // Share of the board the outline must cover
+    const MAX_ATTEMPTS = 20;
+
+    const KINDS = [
+        { name: 'Blob', outline: blobRadii },
+        { name: 'Star', outline: starRadii },
+        { name: 'Polygon', outline: polygonRadii },
+    ];
+
+    // ==========================================
+    // PUBLIC HELPERS
+    // ==========================================
+
+    /**
+     * @param {number|string} seed
+     * @returns {string} Shape id to select or send as shapeType
+     */
+    function idForSeed(seed) {
+        return `${PREFIX}:${seed}`;
+    }
+
+    /**
+     * @returns {number|null} The seed of a generated shape id, null for any other shape
+     */
+    function getSeed(shapeType) {
+        const match = /^random:(\d+)$/.exec(shapeType || '');
+        return match ? Number(match[1]) : null;
+    }
+
+    function isValidSeed(seed) {
+        return /^\d{1,9}$/.test(String(seed)) && Number(seed) >= 1;
+    }
+
+    function randomSeed() {
+        return 1 + Math.floor(Math.random() * MAX_SEED);
+    }
+
+    // ==========================================
+    // GENERATION
+    // ==========================================
+
+    /**
+     * Build the board for a seed (registered with Shapes as the 'random' generator)
+     * @param {string} argument - Seed, as written in the shape id
+     * @returns {Object|null} Shape definition without id, null for invalid seeds
+     */
+    function generate(argument) {
+        if (!isValidSeed(argument)) return null;
+
+        const random = createRandom(Number(argument));
+        const kind = KINDS[Math.floor(random() * KINDS.length)];
+
+        // Attempts draw from the same seeded stream, so retries stay deterministic
+        let points = null;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS && !points; attempt++) {
+            const candidate = toPoints(kind.outline(random));
+            if (isPlayable(candidate)) points = candidate;
+        }
+        if (!points) {
+            console.warn(`[BoardGenerator] Seed ${argument} gave no playable ${kind.name.toLowerCase()}, using an oval`);
+            points = toPoints(Array.from({ length: 48 }, (_, i) => ({ angle: i / 48 * Math.PI * 2, radius: 200 })));
+        }
+
+        return {
+            name: `Random ${kind.name}`,
+            feature: 'randomBoards', // Servers without it can't build the board from its id
+            primitives: [{ type: 'polygon', points }],
+        };
+    }
+
+    /**
+     * Wavy closed curve: a circle bent by a few low-frequency waves
+     */
+    function blobRadii(random) {
+        const base = between(random, 150, 210);
+        const waves = [2, 3, 4, 5].map(frequency => ({
+            frequency,
+            amount: between(random, 0, 0.2),
+            phase: between(random, 0, Math.PI * 2),
+        }));
+
+        return Array.from({ length: 72 }, (_, i) => {
+            const angle = i / 72 * Math.PI * 2;
+            const bend = waves.reduce((sum, w) => sum + w.amount * Math.sin(w.frequency * angle + w.phase), 0);
+            return { angle, radius: base * (1 + bend) };
+        });
+    }
+
+    function starRadii(random) {
+        const spikes = 5 + Math.floor(random() * 5);
+        const outer = between(random, 200, MAX_RADIUS);
+        const inner = outer * between(random, 0.45, 0.7);
+        const turn = between(random, 0, Math.PI * 2 / spikes);
+
+        return Array.from({ length: spikes * 2 }, (_, i) => ({
+            angle: turn + i * Math.PI / spikes,
+            radius: (i % 2 === 0 ? outer : inner) * between(random, 0.92, 1.08),
+        }));
+    }
+
+    function polygonRadii(random) {
+        const corners = 5 + Math.floor(random() * 6);
+        const step = Math.PI * 2 / corners;
+
+        // Jitter stays under half a step, so the corners keep their order around the center
+        return Array.from({ length: corners }, (_, i) => ({
+            angle: i * step + between(random, -0.35, 0.35) * step,
+            radius: between(random, 150, MAX_RADIUS),
+        }));
+    }
+
+    /**
+     * Place radii around the board center, clamped to the board
+     */
+    function toPoints(radii) {
+        const cx = Shapes.CANVAS_WIDTH / 2;
+        const cy = Shapes.CANVAS_HEIGHT / 2;
+        return radii.map(({ angle, radius }) => {
+            const r = Math.max(MIN_RADIUS, Math.min(MAX_RADIUS, radius));
+            return {
+                x: round(cx + Math.cos(angle) * r * STRETCH_X),
+                y: round(cy + Math.sin(angle) * r),
+            };
+        });
+    }
+
+    function isPlayable(points) {
+        const boardArea = Shapes.CANVAS_WIDTH * Shapes.CANVAS_HEIGHT;
+        return Math.abs(Geometry.signedArea(points)) >= boardArea * MIN_AREA_RATIO
+            && Geometry.isSimple(points);
+    }
+
+    /**
+     * Small seeded generator (mulberry32): numbers in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function between(random, min, max) {
+        return min + random() * (max - min);
+    }
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    Shapes.addGenerator(PREFIX, generate);
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        MAX_SEED,
+        idForSeed,
+        getSeed,
+        isValidSeed,
+        randomSeed,
+    };
+})();
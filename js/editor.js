@@ -0,0 +1,839 @@
+/**
+ * ==========================================
+ * BOARD EDITOR MODULE
+ * ==========================================
+ * Screen where hosts draw their own boards from polygons, rectangles and
+ * ellipses. Each part adds to the board or cuts into it (union / subtract),
+ * and the board can be tried out with test magnets before it is used.
+ *
+ * Boards are custom shapes ({ name, primitives }, see ShapeImport); they are
+ * saved in localStorage and exported / imported as JSON files:
+ *   { format, version, name, primitives }
+ *
+ * Events: 'use' (board) when the host picks the board, 'close' when leaving
+ */
+
+const BoardEditor = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const STORAGE_KEY = 'magnetShapes.boards';
+    const FORMAT = 'magnet-shapes-board';
+    const FORMAT_VERSION = 1;
+    const HANDLE_RADIUS = 6;      // px
+    const SNAP_DISTANCE = 12;     // px - clicking the first vertex closes a polygon
+    const MIN_SIZE = 10;          // px - smallest rectangle / ellipse
+    const OUTLINE_TOLERANCE = 2;  // px - curve precision for hit testing
+
+    const TOOL_KEYS = { v: 'select', p: 'polygon', r: 'rect', e: 'ellipse', t: 'test' };
+    const TOOL_HINTS = {
+        select: 'Click a part to select it. Drag its points to reshape it, or drag it to move it. Delete removes it.',
+        polygon: 'Click to add vertices. Click the first vertex, double-click or press Enter to close. Esc cancels.',
+        rect: 'Drag to draw a rectangle.',
+        ellipse: 'Drag to draw an ellipse.',
+        test: 'Click to drop test magnets and see how they behave on this board.',
+    };
+    const PART_NAMES = { polygon: 'Polygon', rect: 'Rectangle', ellipse: 'Ellipse', path: 'Path' };
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    const emitter = Events.createEmitter();
+    let elements = null;
+    let ctx = null;
+    let isOpen = false;
+
+    let primitives = [];      // The board being edited
+    let tool = 'select';
+    let op = 'union';         // For new parts
+    let selectedIndex = -1;
+    let polygonDraft = null;  // Vertices of the polygon being drawn
+    let boxDraft = null;      // { start, end } of the rectangle / ellipse being dragged
+    let drag = null;          // { index, handle, anchor, last } while moving points or parts
+    let pointer = null;       // Last pointer position, for previews
+    let testMagnets = [];
+    let nextTestId = 1;
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    function init() {
+        elements = {
+            canvas: document.getElementById('editorCanvas'),
+            nameInput: document.getElementById('editorBoardName'),
+            tools: document.getElementById('editorTools'),
+            ops: document.getElementById('editorOps'),
+            parts: document.getElementById('editorParts'),
+            hint: document.getElementById('editorHint'),
+            savedBoards: document.getElementById('editorSavedBoards'),
+            loadBtn: document.getElementById('editorLoadBtn'),
+            deleteBtn: document.getElementById('editorDeleteBtn'),
+            saveBtn: document.getElementById('editorSaveBtn'),
+            exportBtn: document.getElementById('editorExportBtn'),
+            importBtn: document.getElementById('editorImportBtn'),
+            importInput: document.getElementById('editorImportInput'),
+            clearBtn: document.getElementById('editorClearBtn'),
+            resetTestBtn: document.getElementById('editorResetTestBtn'),
+            backBtn: document.getElementById('editorBackBtn'),
+            useBtn: document.getElementById('editorUseBtn'),
+        };
+        ctx = elements.canvas.getContext('2d');
+
+        setupEventListeners();
+    }
+
+    function setupEventListeners() {
+        Themes.on('changed', render);
+
+        elements.tools.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-tool]');
+            if (button) setTool(button.dataset.tool);
+        });
+        elements.ops.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-op]');
+            if (button) setOp(button.dataset.op);
+        });
+        elements.parts.addEventListener('click', handlePartsClick);
+
+        elements.canvas.addEventListener('pointerdown', handlePointerDown);
+        elements.canvas.addEventListener('pointermove', handlePointerMove);
+        elements.canvas.addEventListener('pointerup', handlePointerUp);
+        elements.canvas.addEventListener('pointerleave', () => {
+            pointer = null;
+            render();
+        });
+        elements.canvas.addEventListener('dblclick', finishPolygon);
+        document.addEventListener('keydown', handleKeyDown);
+
+        elements.saveBtn.addEventListener('click', saveBoard);
+        elements.loadBtn.addEventListener('click', loadSelectedBoard);
+        elements.deleteBtn.addEventListener('click', deleteSelectedBoard);
+        elements.exportBtn.addEventListener('click', exportBoard);
+        elements.importBtn.addEventListener('click', () => elements.importInput.click());
+        elements.importInput.addEventListener('change', handleImportFile);
+        elements.clearBtn.addEventListener('click', () => {
+            if (primitives.length === 0 || confirm('Remove every part of this board?')) {
+                loadBoard({ name: elements.nameInput.value, primitives: [] });
+            }
+        });
+        elements.resetTestBtn.addEventListener('click', resetTest);
+        elements.backBtn.addEventListener('click', () => {
+            close();
+            emitter.emit('close');
+        });
+        elements.useBtn.addEventListener('click', useBoard);
+    }
+
+    /**
+     * Show the editor (the caller switches screens)
+     * @param {Object} [board] - Board to start from, e.g. the current custom shape
+     */
+    function open(board) {
+        isOpen = true;
+        if (board) loadBoard(board);
+        renderSavedBoards();
+        setTool(tool);
+    }
+
+    function close() {
+        isOpen = false;
+        polygonDraft = null;
+        boxDraft = null;
+        drag = null;
+    }
+
+    // ==========================================
+    // TOOLS
+    // ==========================================
+
+    function setTool(name) {
+        polygonDraft = null; // Switching tools drops an unfinished polygon
+        tool = name;
+
+        for (const button of elements.tools.querySelectorAll('[data-tool]')) {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        }
+        elements.hint.textContent = TOOL_HINTS[tool];
+        elements.canvas.dataset.tool = tool;
+
+        render();
+    }
+
+    function setOp(name) {
+        op = name;
+        for (const button of elements.ops.querySelectorAll('[data-op]')) {
+            button.classList.toggle('active', button.dataset.op === op);
+        }
+    }
+
+    // ==========================================
+    // POINTER INPUT
+    // ==========================================
+
+    function handlePointerDown(event) {
+        const point = getPoint(event);
+        elements.canvas.setPointerCapture?.(event.pointerId);
+
+        switch (tool) {
+            case 'select':
+                startDrag(point);
+                break;
+
+            case 'polygon':
+                addPolygonVertex(point);
+                break;
+
+            case 'rect':
+            case 'ellipse':
+                boxDraft = { start: point, end: point };
+                break;
+
+            case 'test':
+                dropTestMagnet(point);
+                break;
+        }
+        render();
+    }
+
+    function handlePointerMove(event) {
+        pointer = getPoint(event);
+
+        if (drag) {
+            dragTo(pointer);
+        } else if (boxDraft) {
+            boxDraft.end = pointer;
+        }
+        render();
+    }
+
+    function handlePointerUp() {
+        if (boxDraft) {
+            const primitive = createBoxPrimitive(boxDraft.start, boxDraft.end);
+            boxDraft = null;
+            if (primitive) addPrimitive(primitive);
+        }
+        if (drag) {
+            drag = null;
+            boardChanged();
+        }
+        render();
+    }
+
+    function handleKeyDown(event) {
+        if (!isOpen || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.closest && event.target.closest('input, textarea, select')) return;
+
+        if (event.key === 'Enter') {
+            finishPolygon();
+        } else if (event.key === 'Escape') {
+            polygonDraft = null;
+            boxDraft = null;
+            selectedIndex = -1;
+            renderParts();
+            render();
+        } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedIndex >= 0) {
+            event.preventDefault();
+            removePrimitive(selectedIndex);
+        } else if (TOOL_KEYS[event.key.toLowerCase()]) {
+            setTool(TOOL_KEYS[event.key.toLowerCase()]);
+        }
+    }
+
+    function getPoint(event) {
+        const coords = Shapes.getScaledCoordinates(elements.canvas, event.clientX, event.clientY);
+        return {
+            x: Math.round(Math.max(0, Math.min(Shapes.CANVAS_WIDTH, coords.x))),
+            y: Math.round(Math.max(0, Math.min(Shapes.CANVAS_HEIGHT, coords.y))),
+        };
+    }
+
+    // ==========================================
+    // DRAWING PARTS
+    // ==========================================
+
+    function addPolygonVertex(point) {
+        if (!polygonDraft) {
+            polygonDraft = [point];
+            return;
+        }
+
+        const first = polygonDraft[0];
+        if (polygonDraft.length >= 3 && distance(point, first) <= SNAP_DISTANCE) {
+            finishPolygon();
+            return;
+        }
+
+        const last = polygonDraft[polygonDraft.length - 1];
+        if (distance(point, last) > 0) polygonDraft.push(point);
+    }
+
+    function finishPolygon() {
+        if (!polygonDraft) return;
+
+        const points = polygonDraft;
+        polygonDraft = null;
+        if (points.length >= 3) {
+            addPrimitive({ type: 'polygon', points });
+        } else {
+            render();
+        }
+    }
+
+    function createBoxPrimitive(start, end) {
+        const box = boxFrom(start, end);
+        if (box.width < MIN_SIZE || box.height < MIN_SIZE) return null;
+
+        if (tool === 'rect') {
+            return { type: 'rect', ...box };
+        }
+        return {
+            type: 'ellipse',
+            cx: box.x + box.width / 2,
+            cy: box.y + box.height / 2,
+            rx: box.width / 2,
+            ry: box.height / 2,
+        };
+    }
+
+    function boxFrom(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y),
+        };
+    }
+
+    function addPrimitive(primitive) {
+        if (op === 'subtract') primitive.op = 'subtract';
+        primitives.push(primitive);
+        selectedIndex = primitives.length - 1;
+        boardChanged();
+    }
+
+    function removePrimitive(index) {
+        primitives.splice(index, 1);
+        selectedIndex = -1;
+        boardChanged();
+    }
+
+    // ==========================================
+    // SELECTING AND DRAGGING
+    // ==========================================
+
+    /**
+     * Grab a handle of the selected part, or else the topmost part under the pointer
+     */
+    function startDrag(point) {
+        if (selectedIndex >= 0) {
+            const handle = getHandles(primitives[selectedIndex]).find(h => distance(h, point) <= HANDLE_RADIUS * 1.5);
+            if (handle) {
+                drag = { index: selectedIndex, handle: handle.key, anchor: handle.anchor, last: point };
+                return;
+            }
+        }
+
+        selectedIndex = findPrimitiveAt(point);
+        drag = selectedIndex >= 0 ? { index: selectedIndex, handle: null, last: point } : null;
+        renderParts();
+    }
+
+    function dragTo(point) {
+        const primitive = primitives[drag.index];
+
+        if (drag.handle === null) {
+            movePrimitive(primitive, point.x - drag.last.x, point.y - drag.last.y);
+        } else {
+            moveHandle(primitive, drag, point);
+        }
+        drag.last = point;
+    }
+
+    function findPrimitiveAt(point) {
+        for (let i = primitives.length - 1; i >= 0; i--) {
+            if (Geometry.containsPoint(Shapes.toPolygons(primitives[i], OUTLINE_TOLERANCE), point)) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Control points of a part; rectangle corners resize against the opposite corner
+     */
+    function getHandles(primitive) {
+        switch (primitive.type) {
+            case 'polygon':
+                return primitive.points.map((p, i) => ({ x: p.x, y: p.y, key: i }));
+
+            case 'rect': {
+                const { x, y, width, height } = primitive;
+                const corners = [{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }];
+                return corners.map((corner, i) => ({ ...corner, key: 'corner', anchor: corners[(i + 2) % 4] }));
+            }
+
+            case 'ellipse':
+                return [
+                    { x: primitive.cx + primitive.rx, y: primitive.cy, key: 'rx' },
+                    { x: primitive.cx, y: primitive.cy + primitive.ry, key: 'ry' },
+                ];
+        }
+        return [];
+    }
+
+    function moveHandle(primitive, { handle, anchor }, point) {
+        switch (primitive.type) {
+            case 'polygon':
+                primitive.points[handle] = point;
+                break;
+
+            case 'rect': {
+                const box = boxFrom(anchor, point);
+                primitive.x = box.x;
+                primitive.y = box.y;
+                primitive.width = Math.max(MIN_SIZE, box.width);
+                primitive.height = Math.max(MIN_SIZE, box.height);
+                break;
+            }
+
+            case 'ellipse':
+                if (handle === 'rx') primitive.rx = Math.max(MIN_SIZE / 2, Math.abs(point.x - primitive.cx));
+                if (handle === 'ry') primitive.ry = Math.max(MIN_SIZE / 2, Math.abs(point.y - primitive.cy));
+                break;
+        }
+    }
+
+    function movePrimitive(primitive, dx, dy) {
+        switch (primitive.type) {
+            case 'polygon':
+                primitive.points = primitive.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+                break;
+            case 'rect':
+                primitive.x += dx;
+                primitive.y += dy;
+                break;
+            case 'ellipse':
+                primitive.cx += dx;
+                primitive.cy += dy;
+                break;
+        }
+    }
+
+    // ==========================================
+    // TEST MODE
+    // ==========================================
+
+    /**
+     * Drop a magnet the way the game would: only inside the board, then attract and clump
+     */
+    function dropTestMagnet(point) {
+        if (!Shapes.contains({ primitives }, point.x, point.y)) {
+            testMagnets.push({ id: `t${nextTestId++}`, position: point, rejected: true });
+            return;
+        }
+
+        const placed = testMagnets.filter(m => !m.rejected);
+        const id = `t${nextTestId++}`;
+        const { movements, clumpedIds } = Physics.simulatePlacement(placed, point, id);
+
+        for (const movement of movements) {
+            const magnet = placed.find(m => m.id === movement.magnetId);
+            if (magnet) magnet.position = movement.toPosition;
+        }
+        testMagnets = placed.filter(m => !clumpedIds.includes(m.id));
+        if (!clumpedIds.includes(id)) {
+            testMagnets.push({ id, position: point });
+        }
+    }
+
+    function resetTest() {
+        testMagnets = [];
+        render();
+    }
+
+    function hasArea() {
+        return primitives.some(p => p.op !== 'subtract');
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    /**
+     * Called after every edit: test magnets and the parts list follow the board
+     */
+    function boardChanged() {
+        testMagnets = [];
+        renderParts();
+        render();
+    }
+
+    function render() {
+        if (!isOpen) return;
+
+        const { width, height } = elements.canvas;
+        ctx.clearRect(0, 0, width, height);
+        drawGrid();
+
+        if (hasArea()) {
+            Shapes.drawShape(ctx, { primitives });
+        }
+
+        // Cut parts are invisible once applied, so outline them while editing
+        ctx.save();
+        ctx.setLineDash([6, 6]);
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = 'rgba(244, 63, 94, 0.6)';
+        primitives.forEach((primitive, i) => {
+            if (primitive.op === 'subtract' && i !== selectedIndex) strokeOutline(primitive);
+        });
+        ctx.restore();
+
+        if (selectedIndex >= 0 && tool === 'select') {
+            drawSelection(primitives[selectedIndex]);
+        }
+        drawDrafts();
+        drawTestMagnets();
+    }
+
+    function drawGrid() {
+        ctx.save();
+        ctx.strokeStyle = 'rgba(99, 102, 241, 0.08)';
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= Shapes.CANVAS_WIDTH; x += 40) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, Shapes.CANVAS_HEIGHT);
+            ctx.stroke();
+        }
+        for (let y = 0; y <= Shapes.CANVAS_HEIGHT; y += 40) {
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(Shapes.CANVAS_WIDTH, y);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    function strokeOutline(primitive) {
+        for (const polygon of Shapes.toPolygons(primitive, OUTLINE_TOLERANCE)) {
+            ctx.beginPath();
+            polygon.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            ctx.closePath();
+            ctx.stroke();
+        }
+    }
+
+    function drawSelection(primitive) {
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = primitive.op === 'subtract' ? '#f43f5e' : '#818cf8';
+        strokeOutline(primitive);
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        for (const handle of getHandles(primitive)) {
+            ctx.beginPath();
+            ctx.arc(handle.x, handle.y, HANDLE_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    function drawDrafts() {
+        ctx.save();
+        ctx.strokeStyle = op === 'subtract' ? '#f43f5e' : '#818cf8';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 2;
+
+        if (polygonDraft) {
+            ctx.beginPath();
+            polygonDraft.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+            if (pointer) ctx.lineTo(pointer.x, pointer.y);
+            ctx.stroke();
+
+            for (const [i, p] of polygonDraft.entries()) {
+                // The first vertex grows when a click would close the polygon
+                const snapping = i === 0 && pointer && polygonDraft.length >= 3 && distance(pointer, p) <= SNAP_DISTANCE;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, snapping ? HANDLE_RADIUS * 1.5 : HANDLE_RADIUS / 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        if (boxDraft) {
+            const primitive = createBoxPrimitive(boxDraft.start, boxDraft.end);
+            ctx.setLineDash([6, 4]);
+            if (primitive) strokeOutline(primitive);
+        }
+
+        ctx.restore();
+    }
+
+    function drawTestMagnets() {
+        ctx.save();
+        for (const magnet of testMagnets) {
+            const { x, y } = magnet.position;
+            ctx.beginPath();
+            ctx.arc(x, y, Game.MAGNET_RADIUS, 0, Math.PI * 2);
+
+            if (magnet.rejected) {
+                ctx.strokeStyle = 'rgba(239, 68, 68, 0.8)';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+                ctx.beginPath();
+                ctx.moveTo(x - 6, y - 6);
+                ctx.lineTo(x + 6, y + 6);
+                ctx.moveTo(x + 6, y - 6);
+                ctx.lineTo(x - 6, y + 6);
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = Game.getPlayerColor(0);
+                ctx.fill();
+            }
+        }
+        ctx.restore();
+    }
+
+    /**
+     * List of parts in drawing order, each with add / cut and remove buttons
+     */
+    function renderParts() {
+        elements.parts.innerHTML = '';
+
+        primitives.forEach((primitive, i) => {
+            const cut = primitive.op === 'subtract';
+            const item = document.createElement('li');
+            item.className = 'editor-part' + (i === selectedIndex ? ' selected' : '') + (cut ? ' cut' : '');
+            item.dataset.index = i;
+            item.innerHTML = `
+                <span class="editor-part-name">${PART_NAMES[primitive.type] || primitive.type}</span>
+                <button class="editor-part-op" data-action="op" title="Switch between adding and cutting">${cut ? '− Cut' : '+ Add'}</button>
+                <button class="editor-part-remove" data-action="remove" title="Remove">✕</button>
+            `;
+            elements.parts.appendChild(item);
+        });
+
+        if (primitives.length === 0) {
+            elements.parts.innerHTML = '<li class="editor-part empty">No parts yet - pick a tool and draw</li>';
+        }
+    }
+
+    function handlePartsClick(e) {
+        const item = e.target.closest('.editor-part[data-index]');
+        if (!item) return;
+        const index = Number(item.dataset.index);
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'remove') {
+            removePrimitive(index);
+            return;
+        }
+        if (action === 'op') {
+            const primitive = primitives[index];
+            if (primitive.op === 'subtract') {
+                delete primitive.op;
+            } else {
+                primitive.op = 'subtract';
+            }
+            boardChanged();
+            return;
+        }
+
+        selectedIndex = index;
+        setTool('select');
+        renderParts();
+    }
+
+    function distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // ==========================================
+    // BOARDS
+    // ==========================================
+
+    function getBoard() {
+        return {
+            name: elements.nameInput.value.trim(),
+            primitives: JSON.parse(JSON.stringify(primitives)),
+        };
+    }
+
+    function loadBoard(board) {
+        elements.nameInput.value = board.name || '';
+        primitives = JSON.parse(JSON.stringify(board.primitives || []));
+        selectedIndex = -1;
+        polygonDraft = null;
+        boardChanged();
+    }
+
+    /**
+     * Check the board and hand it to the lobby
+     */
+    function useBoard() {
+        try {
+            const board = ShapeImport.check(getBoard());
+            close();
+            emitter.emit('use', board);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    // ==========================================
+    // SAVED BOARDS (localStorage)
+    // ==========================================
+
+    /**
+     * Saved boards, checked like imported files (storage can be edited by hand);
+     * boards that fail the check are left out
+     */
+    function readSavedBoards() {
+        let boards;
+        try {
+            boards = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            return [];
+        }
+        if (!Array.isArray(boards)) return [];
+
+        return boards.flatMap((board) => {
+            try {
+                return [{ ...ShapeImport.clean(board), savedAt: board.savedAt }];
+            } catch (error) {
+                console.warn('[Editor] Ignoring invalid saved board:', error.message);
+                return [];
+            }
+        });
+    }
+
+    function writeSavedBoards(boards) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(boards));
+            return true;
+        } catch (error) {
+            alert('The board could not be saved: browser storage is full or disabled.');
+            return false;
+        }
+    }
+
+    /**
+     * Save under the board's name, replacing a saved board with the same name
+     */
+    function saveBoard() {
+        const board = getBoard();
+        if (!board.name) {
+            alert('Please give the board a name');
+            elements.nameInput.focus();
+            return;
+        }
+        if (board.primitives.length === 0) {
+            alert('Draw something first - this board is empty.');
+            return;
+        }
+
+        const boards = readSavedBoards().filter(b => b.name !== board.name);
+        boards.push({ ...board, savedAt: new Date().toISOString() });
+        if (writeSavedBoards(boards)) {
+            renderSavedBoards(board.name);
+        }
+    }
+
+    function loadSelectedBoard() {
+        const board = readSavedBoards().find(b => b.name === elements.savedBoards.value);
+        if (board) loadBoard(board);
+    }
+
+    function deleteSelectedBoard() {
+        const name = elements.savedBoards.value;
+        if (!name || !confirm(`Delete the saved board "${name}"?`)) return;
+
+        if (writeSavedBoards(readSavedBoards().filter(b => b.name !== name))) {
+            renderSavedBoards();
+        }
+    }
+
+    function renderSavedBoards(selected = elements.savedBoards.value) {
+        const boards = readSavedBoards();
+        elements.savedBoards.innerHTML = '';
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = boards.length > 0 ? 'Saved boards…' : 'No saved boards';
+        elements.savedBoards.appendChild(placeholder);
+
+        for (const board of boards) {
+            const option = document.createElement('option');
+            option.value = board.name;
+            option.textContent = board.name;
+            elements.savedBoards.appendChild(option);
+        }
+        elements.savedBoards.value = boards.some(b => b.name === selected) ? selected : '';
+    }
+
+    // ==========================================
+    // EXPORT / IMPORT (JSON files)
+    // ==========================================
+
+    function exportBoard() {
+        const board = getBoard();
+        const file = { format: FORMAT, version: FORMAT_VERSION, ...board };
+
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${(board.name || 'board').replace(/[^\w-]+/g, '-')}.board.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function handleImportFile() {
+        const file = elements.importInput.files[0];
+        elements.importInput.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        file.text()
+            .then((text) => loadBoard(parseBoard(text)))
+            .catch((error) => alert(error.message));
+    }
+
+    /**
+     * Unfinished boards can be imported too; they are only checked for play when used
+     * @throws {Error} With a user-facing message when the file is not a board
+     */
+    function parseBoard(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a valid board (it is not JSON).');
+        }
+
+        if (!file || file.format !== FORMAT) {
+            throw new Error('This file is not a Magnet Shapes board.');
+        }
+        if (file.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported board version ${file.version}.`);
+        }
+
+        return ShapeImport.clean(file);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init,
+        open,
+        close,
+        getBoard,
+        loadBoard,
+        on: emitter.on,
+        off: emitter.off,
+    };
+})();
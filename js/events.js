@@ -0,0 +1,106 @@
+/**
+ * ==========================================
+ * EVENTS MODULE
+ * ==========================================
+ * Tiny event emitter used by modules that publish events
+ * Supports multiple listeners per event, one-shot listeners and removal
+ */
+
+const Events = (function() {
+    /**
+     * Create a new emitter
+     * @returns {{on: Function, once: Function, off: Function, emit: Function, listenerCount: Function}}
+     */
+    function createEmitter() {
+        const listeners = new Map(); // event -> Array<{ handler, once }>
+
+        /**
+         * Subscribe to an event
+         * @param {string} event - Event name
+         * @param {Function} handler - Called with the event arguments
+         * @returns {Function} Call to unsubscribe
+         */
+        function on(event, handler) {
+            return addListener(event, handler, false);
+        }
+
+        /**
+         * Subscribe to the next occurrence of an event only
+         */
+        function once(event, handler) {
+            return addListener(event, handler, true);
+        }
+
+        /**
+         * Remove a listener, or every listener for the event when no handler is given
+         */
+        function off(event, handler) {
+            if (!listeners.has(event)) return;
+
+            if (!handler) {
+                listeners.delete(event);
+                return;
+            }
+
+            const remaining = listeners.get(event).filter(l => l.handler !== handler);
+            if (remaining.length > 0) {
+                listeners.set(event, remaining);
+            } else {
+                listeners.delete(event);
+            }
+        }
+
+        /**
+         * Call every listener of an event
+         * A throwing listener is logged and does not stop the others
+         */
+        function emit(event, ...args) {
+            const current = listeners.get(event);
+            if (!current) return;
+
+            // Copy so listeners may subscribe/unsubscribe while we iterate
+            for (const listener of current.slice()) {
+                if (listener.once) {
+                    off(event, listener.handler);
+                }
+                try {
+                    listener.handler(...args);
+                } catch (error) {
+                    console.error(`[Events] Listener for "${event}" failed:`, error);
+                }
+            }
+        }
+
+        function listenerCount(event) {
+            return listeners.has(event) ? listeners.get(event).length : 0;
+        }
+
+        function addListener(event, handler, isOnce) {
+            if (typeof handler !== 'function') {
+                throw new TypeError(`Listener for "${event}" must be a function`);
+            }
+
+            if (!listeners.has(event)) {
+                listeners.set(event, []);
+            }
+            listeners.get(event).push({ handler, once: isOnce });
+
+            return () => off(event, handler);
+        }
+
+        return {
+            on,
+            once,
+            off,
+            emit,
+            listenerCount,
+        };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        createEmitter,
+    };
+})();
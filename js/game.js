@@ -3,7 +3,8 @@
  * GAME MODULE
  * ==========================================
  * Manages game state, rendering, and player interactions
- * Includes magnetic attraction animations
+ * Includes magnetic attraction animations and a preview of where a placement would pull magnets
+ * Draws in board coordinates; the canvas backing store follows its displayed size and devicePixelRatio
  */
 
 const Game = (function() {
@@ -12,12 +13,37 @@ const Game = (function() {
     // ==========================================
     let gameState = null;
     let myPlayerId = null;
+    let placementPending = false; // Waiting for the server to answer our PLACE_MAGNET
+    let playerLatencies = {};     // playerId -> round-trip ms reported by the server
+    let readOnly = false;         // Replays show the board without accepting placements
     let canvas = null;
-    let ctx = null;
+    let screenCtx = null;      // The visible canvas, only ever given finished layers
+    let ctx = null;            // Context being drawn to: the layer render() is repainting
+
+    // Offscreen layers (see LAYERS), each repainted only after it was invalidated
+    let layers = null;         // name -> { canvas, ctx, dirty }
+    let effectsFrameId = null; // Effects loop, runs while the effects layer changes over time
+    let effectsAnimated = false;
 
     // Animation state for magnet movements
     let animatingMagnets = []; // { magnetId, fromPos, toPos, progress }
     let animationFrameId = null;
+    let boardShift = null;     // { current } transform shown while a shifting board moves
+    let collecting = null;     // { ids, flights } clumped magnets flying to their collector
+    let animationComplete = null; // onComplete of the running animation, for fast-forwarding
+    let magnetsById = new Map(); // id -> magnet of gameState, kept in step by commitState
+
+    // Server events waiting for the animations before them to play (see queueEvent)
+    let timeline = [];         // { message, state, onShown }
+    let currentStep = null;    // Event whose animation is playing
+
+    // Placement preview
+    let hoverPosition = null;  // Board point under the mouse (or a held finger)
+    let touchHold = null;      // { position, previewing, timer } while a finger is down
+    let prediction = null;     // Debug mode: simulated result of our last placement
+    let debugMode = false;
+
+    let heatmapVisible = false; // Safe-zone overlay (see Heatmap)
 
     // ==========================================
     // CONFIGURATION (must match server values)
@@ -26,27 +52,103 @@ const Game = (function() {
     const CLUMP_THRESHOLD = 30;      // Increased for easier clumping
     const ATTRACTION_RANGE = 150;    // Increased attraction range
     const ANIMATION_DURATION = 600;  // ms - slightly longer for smoother animation
-
-    // Player colors for visual distinction
-    const PLAYER_COLORS = [
-        '#f43f5e', // Rose
-        '#3b82f6', // Blue
-        '#22c55e', // Green
-        '#f59e0b', // Amber
-    ];
+    const SHIFT_DURATION = 900;      // ms - board rotating or shrinking
+    const STRANDED_COLOR = '#ef4444'; // Ring around magnets the board has moved away from
+    const LEFT_PLAYER_COLOR = '#94a3b8'; // Magnets of players who left the game
+    const HOLD_DELAY = 350;          // ms - touch and hold this long to preview before placing
+    const PREVIEW_ID = 'preview';    // Stands in for the new magnet's id in simulations
+    const PREDICTION_TOLERANCE = 0.5; // px
+    const MAX_BACKLOG = 3;           // More queued events than this are fast-forwarded, not played
+
+    // Canvas layers, bottom to top
+    //   static  - background grid, board and heatmap
+    //   magnets - placed magnets and stranded markers
+    //   effects - attraction lines, clump pulse, placement preview and collected magnets
+    const LAYERS = ['static', 'magnets', 'effects'];
+
+    const attractionGrid = Spatial.createGrid(ATTRACTION_RANGE);
 
     // ==========================================
     // INITIALIZATION
     // ==========================================
 
-    function init(gameCanvas, maskCanvas) {
+    function init(gameCanvas) {
         canvas = gameCanvas;
-        ctx = canvas.getContext('2d');
-
-        Shapes.initMaskCanvas(maskCanvas);
+        screenCtx = canvas.getContext('2d');
+        layers = {};
+        for (const name of LAYERS) {
+            const layerCanvas = document.createElement('canvas');
+            layers[name] = { canvas: layerCanvas, ctx: layerCanvas.getContext('2d'), dirty: true };
+        }
+        fitLayers();
 
         canvas.addEventListener('click', handleCanvasClick);
+        canvas.addEventListener('mousemove', handleCanvasMouseMove);
+        canvas.addEventListener('mouseleave', handleCanvasMouseLeave);
         canvas.addEventListener('touchstart', handleCanvasTouchStart);
+        canvas.addEventListener('touchmove', handleCanvasTouchMove, { passive: false });
+        canvas.addEventListener('touchend', handleCanvasTouchEnd);
+        canvas.addEventListener('touchcancel', handleCanvasTouchCancel);
+
+        Themes.on('changed', () => {
+            invalidate();
+            render();
+            updateUI();
+        });
+
+        // Frames stop in a background tab; don't let events pile up behind a stalled animation
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) fastForward();
+        });
+
+        // With ?debug=1 each placement preview is checked against the server's result
+        debugMode = new URLSearchParams(window.location.search).get('debug') === '1';
+
+        // The observer follows the displayed size; window resizes are only needed for a new pixel
+        // ratio (zoom, another screen), which leaves the size in CSS pixels alone
+        if (window.ResizeObserver) {
+            new ResizeObserver(resizeCanvas).observe(canvas);
+            let ratio = window.devicePixelRatio;
+            window.addEventListener('resize', () => {
+                if (window.devicePixelRatio === ratio) return;
+                ratio = window.devicePixelRatio;
+                resizeCanvas();
+            });
+        } else {
+            window.addEventListener('resize', resizeCanvas);
+        }
+        resizeCanvas();
+    }
+
+    /**
+     * Give the canvas one backing pixel per device pixel of its displayed size
+     */
+    function resizeCanvas() {
+        if (!canvas.clientWidth || !canvas.clientHeight) return; // Hidden: keep the last size
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(canvas.clientWidth * ratio);
+        const height = Math.round(canvas.clientHeight * ratio);
+        if (canvas.width === width && canvas.height === height) return; // Layers already fit
+
+        canvas.width = width;
+        canvas.height = height;
+        fitLayers();
+        render();
+    }
+
+    /**
+     * Size the layers like the canvas backing store
+     * Everything is drawn in board coordinates (Shapes.CANVAS_WIDTH x CANVAS_HEIGHT) through the transform
+     */
+    function fitLayers() {
+        for (const name of LAYERS) {
+            const layer = layers[name];
+            layer.canvas.width = canvas.width; // Resets the context, transform included
+            layer.canvas.height = canvas.height;
+            layer.ctx.setTransform(canvas.width / Shapes.CANVAS_WIDTH, 0, 0, canvas.height / Shapes.CANVAS_HEIGHT, 0, 0);
+        }
+        invalidate();
     }
 
     function handleCanvasClick(event) {
@@ -56,20 +158,77 @@ const Game = (function() {
         attemptPlacement(coords);
     }
 
+    function handleCanvasMouseMove(event) {
+        hoverPosition = Shapes.getScaledCoordinates(canvas, event.clientX, event.clientY);
+        if (canPlaceMagnet()) redrawEffects();
+    }
+
+    function handleCanvasMouseLeave() {
+        hoverPosition = null;
+        redrawEffects();
+    }
+
+    /**
+     * A quick tap places right away; touch and hold shows the preview,
+     * which follows the finger and places on release (release off the board to cancel)
+     */
     function handleCanvasTouchStart(event) {
         if (!canPlaceMagnet()) return;
         event.preventDefault();
 
         const touch = event.touches[0];
-        const coords = Shapes.getScaledCoordinates(canvas, touch.clientX, touch.clientY);
-        attemptPlacement(coords);
+        touchHold = {
+            position: Shapes.getScaledCoordinates(canvas, touch.clientX, touch.clientY),
+            previewing: false,
+            timer: setTimeout(() => {
+                touchHold.previewing = true;
+                hoverPosition = touchHold.position;
+                redrawEffects();
+            }, HOLD_DELAY),
+        };
+    }
+
+    function handleCanvasTouchMove(event) {
+        if (!touchHold) return;
+        event.preventDefault();
+
+        const touch = event.touches[0];
+        touchHold.position = Shapes.getScaledCoordinates(canvas, touch.clientX, touch.clientY);
+        if (touchHold.previewing) {
+            hoverPosition = touchHold.position;
+            redrawEffects();
+        }
+    }
+
+    function handleCanvasTouchEnd(event) {
+        if (!touchHold) return;
+        event.preventDefault();
+
+        const { position } = touchHold;
+        handleCanvasTouchCancel();
+
+        const onBoard = position.x >= 0 && position.x <= Shapes.CANVAS_WIDTH
+            && position.y >= 0 && position.y <= Shapes.CANVAS_HEIGHT;
+        if (onBoard && canPlaceMagnet()) attemptPlacement(position);
+    }
+
+    function handleCanvasTouchCancel() {
+        if (!touchHold) return;
+        clearTimeout(touchHold.timer);
+        touchHold = null;
+        hoverPosition = null;
+        redrawEffects();
     }
 
     function canPlaceMagnet() {
+        if (readOnly) return false;
         if (!gameState) return false;
         if (gameState.status !== 'playing') return false;
         if (gameState.currentTurnPlayerId !== myPlayerId) return false;
         if (animatingMagnets.length > 0) return false; // Don't allow during animation
+        if (boardShift) return false;
+        if (currentStep) return false; // Events still playing out, the turn may be about to pass
+        if (placementPending) return false;
 
         const myPlayer = gameState.players.find(p => p.id === myPlayerId);
         if (!myPlayer || myPlayer.remainingMagnets <= 0) return false;
@@ -78,24 +237,75 @@ const Game = (function() {
     }
 
     function attemptPlacement(coords) {
-        if (!Shapes.isInsideShape(coords.x, coords.y)) {
-            showMessage('Cannot place magnet outside the shape!', 'warning');
+        const transform = gameState.boardTransform;
+        if (!Shapes.isInsideShape(coords.x, coords.y, transform)) {
+            const reason = Shapes.isInZone(coords.x, coords.y, transform)
+                ? 'Cannot place magnet in a no-go zone!'
+                : 'Cannot place magnet outside the shape!';
+            showMessage(reason, 'warning');
             return;
         }
 
-        WebSocketClient.placeMagnet(coords);
+        if (debugMode) {
+            prediction = Physics.simulatePlacement(gameState.magnets, coords, PREVIEW_ID);
+        }
+
+        placementPending = true;
+        redrawEffects();
+
+        WebSocketClient.placeMagnet(coords)
+            .catch((error) => {
+                // Server rejections are already reported through PLACEMENT_INVALID / ERROR
+                if (!error.reply) {
+                    showMessage(error.message, 'error');
+                }
+            })
+            .finally(() => {
+                placementPending = false;
+                redrawEffects();
+            });
     }
 
     // ==========================================
     // STATE MANAGEMENT
     // ==========================================
 
+    /**
+     * Show a state right away; queued events and the running animation are fast-forwarded first
+     */
     function updateState(newState) {
+        fastForward();
+        settleState(newState);
+    }
+
+    /**
+     * Commit a state the server settled on, bringing the overlay up to date for it
+     * (states shown mid-animation go through commitState alone)
+     */
+    function settleState(newState) {
+        syncHeatmap(newState);
+        commitState(newState);
+    }
+
+    function commitState(newState) {
+        if (boardChanged(gameState, newState)) invalidate('static');
+        invalidate('magnets', 'effects');
         gameState = newState;
+        magnetsById = new Map((newState ? newState.magnets : []).map(m => [m.id, m]));
         render();
         updateUI();
     }
 
+    /**
+     * Whether the static layer drawn for one state is out of date for another
+     */
+    function boardChanged(before, after) {
+        if (!before || !after) return true;
+        const from = before.boardTransform || {};
+        const to = after.boardTransform || {};
+        return before.shapeType !== after.shapeType || from.rotation !== to.rotation || from.scale !== to.scale;
+    }
+
     /**
      * Animate magnet movements from attraction physics
      * @param {Array} movements - Array of { magnetId, fromPosition, toPosition }
@@ -108,6 +318,7 @@ const Game = (function() {
         }
 
         const startTime = performance.now();
+        animationComplete = onComplete;
 
         animatingMagnets = movements.map(m => ({
             magnetId: m.magnetId,
@@ -128,13 +339,14 @@ const Game = (function() {
                 anim.progress = easeProgress;
                 
                 // Find the magnet in game state and update its displayed position
-                const magnet = gameState.magnets.find(m => m.id === anim.magnetId);
+                const magnet = magnetsById.get(anim.magnetId);
                 if (magnet) {
                     magnet.position.x = anim.fromPos.x + (anim.toPos.x - anim.fromPos.x) * easeProgress;
                     magnet.position.y = anim.fromPos.y + (anim.toPos.y - anim.fromPos.y) * easeProgress;
                 }
             }
 
+            invalidate('magnets', 'effects');
             render();
 
             if (progress < 1) {
@@ -142,6 +354,7 @@ const Game = (function() {
             } else {
                 animatingMagnets = [];
                 animationFrameId = null;
+                animationComplete = null;
                 if (onComplete) onComplete();
             }
         }
@@ -163,18 +376,26 @@ const Game = (function() {
 
         const startTime = performance.now();
         const duration = 600;
+        animationComplete = onComplete;
 
         // Find collector's position in player list for animation target
         const playerIndex = gameState.players.findIndex(p => p.id === collectorId);
-        const targetX = canvas.width + 50; // Fly off to the right
+        const targetX = Shapes.CANVAS_WIDTH + 50; // Fly off to the right
         const targetY = 50 + playerIndex * 60;
 
-        // Store original positions
-        const animations = clumpedMagnets.map(m => ({
-            magnet: { ...m, position: { ...m.position } },
-            startPos: { ...m.position },
-            progress: 0,
-        }));
+        // The clumped magnets leave the magnets layer and fly on the effects layer
+        collecting = {
+            ids: new Set(clumpedMagnets.map(m => m.id)),
+            flights: clumpedMagnets.map(m => ({
+                playerId: m.playerId,
+                startPos: { ...m.position },
+                x: m.position.x,
+                y: m.position.y,
+                scale: 1,
+                alpha: 1,
+            })),
+        };
+        invalidate('magnets');
 
         function animate(currentTime) {
             const elapsed = currentTime - startTime;
@@ -183,33 +404,69 @@ const Game = (function() {
             // Easing function (ease-in)
             const easeProgress = progress * progress;
 
-            // Clear and redraw
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
-            drawBackground();
-            Shapes.drawShape(ctx, gameState.shapeType);
-
-            // Draw remaining magnets (not being collected)
-            const clumpedIds = new Set(clumpedMagnets.map(m => m.id));
-            for (const magnet of gameState.magnets) {
-                if (!clumpedIds.has(magnet.id)) {
-                    drawMagnet(magnet);
-                }
+            // Move flying magnets with scale and fade
+            for (const flight of collecting.flights) {
+                flight.x = flight.startPos.x + (targetX - flight.startPos.x) * easeProgress;
+                flight.y = flight.startPos.y + (targetY - flight.startPos.y) * easeProgress;
+                flight.scale = 1 - easeProgress * 0.5;
+                flight.alpha = 1 - easeProgress;
             }
 
-            // Draw flying magnets with scale and fade
-            for (const anim of animations) {
-                const x = anim.startPos.x + (targetX - anim.startPos.x) * easeProgress;
-                const y = anim.startPos.y + (targetY - anim.startPos.y) * easeProgress;
-                const scale = 1 - easeProgress * 0.5;
-                const alpha = 1 - easeProgress;
+            invalidate('effects');
+            render();
 
-                drawMagnetAt(x, y, anim.magnet.playerId, scale, alpha);
+            if (progress < 1) {
+                animationFrameId = requestAnimationFrame(animate);
+            } else {
+                animationFrameId = null;
+                animationComplete = null;
+                collecting = null;
+                invalidate('magnets', 'effects');
+                render();
+                if (onComplete) onComplete();
             }
+        }
+
+        animationFrameId = requestAnimationFrame(animate);
+    }
+
+    /**
+     * Animate a shifting board from one transform to the next
+     * @param {Object} from - Board transform before the shift ({ rotation, scale })
+     * @param {Object} to - Board transform after the shift
+     * @param {Function} onComplete - Callback when animation completes
+     */
+    function animateBoardShift(from, to, onComplete) {
+        const start = { rotation: 0, scale: 1, ...from };
+        // Turn the short way round when the rotation wraps past 360
+        const turn = ((to.rotation - start.rotation) % 360 + 540) % 360 - 180;
+        const startTime = performance.now();
+        animationComplete = onComplete;
+
+        boardShift = { current: start };
+
+        function animate(currentTime) {
+            const progress = Math.min(1, (currentTime - startTime) / SHIFT_DURATION);
+
+            // Easing function (ease-in-out)
+            const easeProgress = progress < 0.5
+                ? 2 * progress * progress
+                : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+
+            boardShift.current = {
+                rotation: start.rotation + turn * easeProgress,
+                scale: start.scale + (to.scale - start.scale) * easeProgress,
+            };
+            invalidate('static', 'magnets');
+            render();
 
             if (progress < 1) {
                 animationFrameId = requestAnimationFrame(animate);
             } else {
+                boardShift = null;
                 animationFrameId = null;
+                animationComplete = null;
+                invalidate();
                 render();
                 if (onComplete) onComplete();
             }
@@ -218,8 +475,143 @@ const Game = (function() {
         animationFrameId = requestAnimationFrame(animate);
     }
 
+    // ==========================================
+    // ANIMATION TIMELINE
+    // ==========================================
+
+    /**
+     * Show a server event once the events queued before it have played
+     * Its state is committed only after its animation has finished (or was fast-forwarded),
+     * so a message arriving mid-animation never cuts it short
+     * @param {Object} message - Server message
+     * @param {Object|null} state - Game state after the message, null if it leaves the state alone
+     * @param {Function} [onShown] - Called once the event's state is on screen
+     */
+    function queueEvent(message, state, onShown) {
+        timeline.push({ message, state, onShown });
+        playNext();
+    }
+
+    function playNext() {
+        if (currentStep || timeline.length === 0) return;
+
+        // Background tabs run no frames, and a long backlog would only replay the past
+        if (document.hidden || timeline.length > MAX_BACKLOG) {
+            compress(timeline.splice(0));
+            return;
+        }
+
+        const step = timeline.shift();
+        currentStep = step;
+        animateEvent(step, () => {
+            currentStep = null;
+            if (step.state) settleState(step.state);
+            if (step.onShown) step.onShown();
+            playNext();
+        });
+    }
+
+    /**
+     * Start the animation for an event; events without one complete right away
+     */
+    function animateEvent({ message, state }, onComplete) {
+        switch (message.type) {
+            case 'MAGNET_PLACED': {
+                if (!state || !message.movements || message.movements.length === 0) break;
+
+                // Start from where the attracted magnets were, then let them slide in
+                const before = JSON.parse(JSON.stringify(state));
+                for (const movement of message.movements) {
+                    const magnet = before.magnets.find(m => m.id === movement.magnetId);
+                    if (magnet) magnet.position = { ...movement.fromPosition };
+                }
+                commitState(before);
+                animateMovements(message.movements, onComplete);
+                return;
+            }
+            case 'MAGNETS_CLUMPED':
+                if (!gameState) break;
+                animateClumpCollection(message.clumpedMagnets, message.collectorPlayerId, onComplete);
+                return;
+            case 'BOARD_SHIFTED':
+                if (!gameState) break;
+                animateBoardShift(gameState.boardTransform || { rotation: 0, scale: 1 }, message.boardTransform, onComplete);
+                return;
+        }
+        onComplete();
+    }
+
+    /**
+     * Finish the running animation and everything queued without animating
+     */
+    function fastForward() {
+        const pending = timeline.splice(0);
+        const onComplete = animationComplete;
+        cancelAnimations();
+        if (onComplete) onComplete(); // Commits the playing event; nothing is left to play next
+        compress(pending);
+    }
+
+    /**
+     * Commit only the last state of a run of events
+     */
+    function compress(steps) {
+        const last = steps.filter(step => step.state).pop();
+        if (last) settleState(last.state);
+        for (const step of steps) {
+            if (step.onShown) step.onShown();
+        }
+    }
+
+    /**
+     * Store per-player latency from the server and refresh the players list
+     * @param {Object<string, number>} latencies - playerId to round-trip ms
+     */
+    function setPlayerLatencies(latencies) {
+        playerLatencies = { ...latencies };
+        updatePlayersList();
+    }
+
     function setMyPlayerId(playerId) {
         myPlayerId = playerId;
+        invalidate('magnets', 'effects'); // Own magnets are marked
+    }
+
+    /**
+     * Show or hide the safe-zone overlay; it is brought up to date through refreshHeatmap
+     */
+    function setHeatmapVisible(visible) {
+        heatmapVisible = visible;
+        if (!visible) Heatmap.reset(); // Rebuilt in full when shown again
+        invalidate('static');
+        render();
+    }
+
+    function isHeatmapVisible() {
+        return heatmapVisible;
+    }
+
+    /**
+     * Re-rate the overlay for a new server state (only the cells the change can affect)
+     * Pass the settled state, not the positions shown mid-animation
+     */
+    function refreshHeatmap(state) {
+        if (syncHeatmap(state)) render();
+    }
+
+    /**
+     * @returns {boolean} Whether any cell of the overlay changed
+     */
+    function syncHeatmap(state) {
+        if (!heatmapVisible || !state || state.status !== 'playing') return false;
+        if (Heatmap.sync(state) === 0) return false;
+        invalidate('static');
+        return true;
+    }
+
+    function setReadOnly(value) {
+        readOnly = value;
+        invalidate('effects'); // No placement preview in read-only mode
     }
 
     function getState() {
@@ -234,38 +626,120 @@ const Game = (function() {
     // RENDERING
     // ==========================================
 
+    /**
+     * Repaint the invalidated layers and composite them onto the canvas
+     * Layers nothing has invalidated are reused as they are
+     */
     function render() {
-        if (!ctx || !gameState) return;
+        if (!screenCtx || !gameState) return;
 
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        drawBackground();
-        Shapes.drawShape(ctx, gameState.shapeType);
-        drawMagnets();
-        drawAttractionLines();
+        for (const name of LAYERS) {
+            const layer = layers[name];
+            if (!layer.dirty) continue;
+
+            ctx = layer.ctx;
+            ctx.clearRect(0, 0, Shapes.CANVAS_WIDTH, Shapes.CANVAS_HEIGHT);
+            LAYER_PAINTERS[name]();
+            layer.dirty = false;
+        }
+        ctx = null;
+
+        screenCtx.clearRect(0, 0, canvas.width, canvas.height);
+        for (const name of LAYERS) {
+            screenCtx.drawImage(layers[name].canvas, 0, 0);
+        }
+        if (effectsAnimated && !effectsFrameId) {
+            effectsFrameId = requestAnimationFrame(tickEffects);
+        }
 
         if (canPlaceMagnet()) {
             canvas.classList.remove('disabled');
         } else {
             canvas.classList.add('disabled');
         }
+        canvas.classList.toggle('pending', placementPending);
+    }
+
+    /**
+     * Mark layers to be repainted by the next render()
+     * @param {...string} names - Layers whose inputs changed, none for all of them
+     */
+    function invalidate(...names) {
+        if (!layers) return;
+        for (const name of names.length > 0 ? names : LAYERS) {
+            layers[name].dirty = true;
+        }
+    }
+
+    /**
+     * Repaint after a change that only shows on the effects layer (the placement preview)
+     */
+    function redrawEffects() {
+        invalidate('effects');
+        render();
+    }
+
+    /**
+     * One frame of the effects loop; render() asks for the next while the effects still change
+     */
+    function tickEffects() {
+        effectsFrameId = null;
+        redrawEffects();
+    }
+
+    function stopEffects() {
+        effectsAnimated = false;
+        if (effectsFrameId) {
+            cancelAnimationFrame(effectsFrameId);
+            effectsFrameId = null;
+        }
+    }
+
+    const LAYER_PAINTERS = {
+        static() {
+            drawBackground();
+            drawBoard();
+            if (heatmapVisible) Heatmap.draw(ctx);
+        },
+        magnets: drawMagnets,
+        effects() {
+            if (collecting) {
+                drawCollectedMagnets();
+                effectsAnimated = false; // The collection animation has its own frames
+                return;
+            }
+            effectsAnimated = drawAttractionLines();
+            drawPlacementPreview();
+        },
+    };
+
+    /**
+     * Draw the board where it is shown right now, mid-shift included
+     */
+    function drawBoard() {
+        Shapes.drawShape(ctx, gameState.shapeType, getBoardTransform());
+    }
+
+    function getBoardTransform() {
+        return boardShift ? boardShift.current : gameState.boardTransform;
     }
 
     function drawBackground() {
         ctx.save();
-        ctx.strokeStyle = 'rgba(99, 102, 241, 0.05)';
+        ctx.strokeStyle = Themes.getCurrent().grid;
         ctx.lineWidth = 1;
 
         const gridSize = 40;
-        for (let x = 0; x < canvas.width; x += gridSize) {
+        for (let x = 0; x < Shapes.CANVAS_WIDTH; x += gridSize) {
             ctx.beginPath();
             ctx.moveTo(x, 0);
-            ctx.lineTo(x, canvas.height);
+            ctx.lineTo(x, Shapes.CANVAS_HEIGHT);
             ctx.stroke();
         }
-        for (let y = 0; y < canvas.height; y += gridSize) {
+        for (let y = 0; y < Shapes.CANVAS_HEIGHT; y += gridSize) {
             ctx.beginPath();
             ctx.moveTo(0, y);
-            ctx.lineTo(canvas.width, y);
+            ctx.lineTo(Shapes.CANVAS_WIDTH, y);
             ctx.stroke();
         }
 
@@ -275,91 +749,251 @@ const Game = (function() {
     /**
      * Draw visual lines showing magnetic attraction between nearby magnets
      * Line thickness and opacity increase as magnets get closer (inverse-square)
+     * Only pairs found through the spatial grid are looked at, not every pair
+     * @returns {boolean} Whether a clumped pair was drawn, whose highlight pulses over time
      */
     function drawAttractionLines() {
-        if (!gameState || !gameState.magnets || gameState.magnets.length < 2) return;
+        if (!gameState || !gameState.magnets || gameState.magnets.length < 2) return false;
 
+        const { attraction, clump } = Themes.getCurrent();
+        const pulse = 0.6 + Math.sin(Date.now() / 200) * 0.2;
+        let pulsing = false;
         ctx.save();
-        
-        for (let i = 0; i < gameState.magnets.length; i++) {
-            for (let j = i + 1; j < gameState.magnets.length; j++) {
-                const m1 = gameState.magnets[i];
-                const m2 = gameState.magnets[j];
-                
-                const dx = m2.position.x - m1.position.x;
-                const dy = m2.position.y - m1.position.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-
-                // Draw attraction field if within range
-                if (distance < ATTRACTION_RANGE && distance > CLUMP_THRESHOLD) {
-                    // Inverse-square strength - much stronger visual when closer
-                    const normalizedDist = distance / ATTRACTION_RANGE;
-                    const strength = 1 / (normalizedDist * normalizedDist + 0.2);
-                    const clampedStrength = Math.min(strength, 3); // Cap at 3x
-                    
-                    ctx.strokeStyle = `rgba(99, 102, 241, ${Math.min(clampedStrength * 0.25, 0.8)})`;
-                    ctx.lineWidth = 1 + clampedStrength * 1.5;
-                    ctx.setLineDash([4, 4]);
-                    
-                    ctx.beginPath();
-                    ctx.moveTo(m1.position.x, m1.position.y);
-                    ctx.lineTo(m2.position.x, m2.position.y);
-                    ctx.stroke();
-                    
-                    // Draw "pulling" arrows when very close
-                    if (distance < CLUMP_THRESHOLD * 2) {
-                        const midX = (m1.position.x + m2.position.x) / 2;
-                        const midY = (m1.position.y + m2.position.y) / 2;
-                        
-                        ctx.fillStyle = `rgba(99, 102, 241, ${clampedStrength * 0.3})`;
-                        ctx.beginPath();
-                        ctx.arc(midX, midY, 4 + clampedStrength, 0, Math.PI * 2);
-                        ctx.fill();
-                    }
-                }
 
-                // Highlight if touching (clumped) - pulsing red
-                if (distance <= CLUMP_THRESHOLD) {
-                    const pulse = 0.6 + Math.sin(Date.now() / 200) * 0.2;
-                    ctx.strokeStyle = `rgba(244, 63, 94, ${pulse})`;
-                    ctx.lineWidth = 4;
-                    ctx.setLineDash([]);
-                    
-                    ctx.beginPath();
-                    ctx.moveTo(m1.position.x, m1.position.y);
-                    ctx.lineTo(m2.position.x, m2.position.y);
-                    ctx.stroke();
-                    
-                    // Draw warning circle around clumped magnets
-                    ctx.strokeStyle = `rgba(244, 63, 94, ${pulse * 0.5})`;
-                    ctx.lineWidth = 2;
+        // Positions change while magnets animate, so the grid is rebuilt per frame (linear)
+        attractionGrid.build(gameState.magnets, m => m.position);
+        attractionGrid.forEachPair(ATTRACTION_RANGE, (m1, m2, distance) => {
+            // Draw attraction field if within range
+            if (distance < ATTRACTION_RANGE && distance > CLUMP_THRESHOLD) {
+                // Inverse-square strength - much stronger visual when closer
+                const normalizedDist = distance / ATTRACTION_RANGE;
+                const strength = 1 / (normalizedDist * normalizedDist + 0.2);
+                const clampedStrength = Math.min(strength, 3); // Cap at 3x
+
+                ctx.strokeStyle = `rgba(${attraction}, ${Math.min(clampedStrength * 0.25, 0.8)})`;
+                ctx.lineWidth = 1 + clampedStrength * 1.5;
+                ctx.setLineDash([4, 4]);
+
+                ctx.beginPath();
+                ctx.moveTo(m1.position.x, m1.position.y);
+                ctx.lineTo(m2.position.x, m2.position.y);
+                ctx.stroke();
+
+                // Draw "pulling" arrows when very close
+                if (distance < CLUMP_THRESHOLD * 2) {
                     const midX = (m1.position.x + m2.position.x) / 2;
                     const midY = (m1.position.y + m2.position.y) / 2;
+
+                    ctx.fillStyle = `rgba(${attraction}, ${clampedStrength * 0.3})`;
                     ctx.beginPath();
-                    ctx.arc(midX, midY, distance / 2 + 10, 0, Math.PI * 2);
-                    ctx.stroke();
+                    ctx.arc(midX, midY, 4 + clampedStrength, 0, Math.PI * 2);
+                    ctx.fill();
                 }
             }
+
+            // Highlight if touching (clumped) - pulsing red
+            if (distance <= CLUMP_THRESHOLD) {
+                pulsing = true;
+                ctx.strokeStyle = `rgba(${clump}, ${pulse})`;
+                ctx.lineWidth = 4;
+                ctx.setLineDash([]);
+
+                ctx.beginPath();
+                ctx.moveTo(m1.position.x, m1.position.y);
+                ctx.lineTo(m2.position.x, m2.position.y);
+                ctx.stroke();
+
+                // Draw warning circle around clumped magnets
+                ctx.strokeStyle = `rgba(${clump}, ${pulse * 0.5})`;
+                ctx.lineWidth = 2;
+                const midX = (m1.position.x + m2.position.x) / 2;
+                const midY = (m1.position.y + m2.position.y) / 2;
+                ctx.beginPath();
+                ctx.arc(midX, midY, distance / 2 + 10, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+        });
+
+        ctx.restore();
+        return pulsing;
+    }
+
+    // ==========================================
+    // PLACEMENT PREVIEW
+    // ==========================================
+
+    /**
+     * Ghost magnet at the pointer, where nearby magnets would be pulled to,
+     * and a warning when the placement would make a clump
+     */
+    function drawPlacementPreview() {
+        if (!hoverPosition || !canPlaceMagnet()) return;
+        const { x, y } = hoverPosition;
+        if (!Shapes.isInsideShape(x, y, gameState.boardTransform)) return;
+
+        const { attraction, clump } = Themes.getCurrent();
+        const { movements, clumpedIds } = Physics.simulatePlacement(gameState.magnets, hoverPosition, PREVIEW_ID);
+
+        ctx.save();
+
+        // Predicted paths of the attracted magnets, with a ghost where each one stops
+        ctx.strokeStyle = `rgba(${attraction}, 0.8)`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([3, 4]);
+        for (const movement of movements) {
+            ctx.beginPath();
+            ctx.moveTo(movement.fromPosition.x, movement.fromPosition.y);
+            ctx.lineTo(movement.toPosition.x, movement.toPosition.y);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+        for (const movement of movements) {
+            const magnet = magnetsById.get(movement.magnetId);
+            if (magnet) drawMagnetAt(movement.toPosition.x, movement.toPosition.y, magnet.playerId, 1, 0.35);
+        }
+
+        drawMagnetAt(x, y, myPlayerId, 1, 0.5);
+
+        if (clumpedIds.length > 0) {
+            const finalPositions = new Map(movements.map(m => [m.magnetId, m.toPosition]));
+            finalPositions.set(PREVIEW_ID, hoverPosition);
+
+            ctx.strokeStyle = `rgba(${clump}, 0.9)`;
+            ctx.lineWidth = 2;
+            for (const id of clumpedIds) {
+                const magnet = magnetsById.get(id);
+                const position = finalPositions.get(id) || (magnet && magnet.position);
+                if (!position) continue;
+                ctx.beginPath();
+                ctx.arc(position.x, position.y, MAGNET_RADIUS + 6, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+
+            // Above the ghost, kept on the board
+            const label = `⚠ Clump! ${clumpedIds.length} magnets come back to you`;
+            ctx.font = '600 14px Outfit, sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'bottom';
+            const halfWidth = ctx.measureText(label).width / 2 + 8;
+            const labelX = Math.max(halfWidth, Math.min(Shapes.CANVAS_WIDTH - halfWidth, x));
+            const labelY = Math.max(24, y - MAGNET_RADIUS - 14);
+            ctx.fillStyle = `rgba(${clump}, 1)`;
+            ctx.fillText(label, labelX, labelY);
         }
 
         ctx.restore();
     }
 
+    /**
+     * Debug mode: compare the simulated result of our last placement with the server's
+     * Mismatches mean the client's physics has drifted from the server's.
+     * @param {Object} message - Server message, after it was applied to the state
+     */
+    function checkPrediction(message) {
+        if (!prediction) return;
+
+        switch (message.type) {
+            case 'MAGNET_PLACED': {
+                if (message.magnet.playerId !== myPlayerId) return;
+                const problems = compareMovements(prediction.movements, message.movements || []);
+                reportPrediction('movements', problems);
+                if (prediction.clumpedIds.length === 0) prediction = null;
+                break;
+            }
+            case 'MAGNETS_CLUMPED': {
+                const expected = prediction.clumpedIds.length;
+                reportPrediction('clumps', expected === message.magnetsCollected
+                    ? []
+                    : [`expected ${expected} clumped magnets, server collected ${message.magnetsCollected}`]);
+                prediction = null;
+                break;
+            }
+            case 'TURN_CHANGED':
+            case 'GAME_OVER':
+                // A predicted clump would have arrived before the turn ended
+                if (prediction.clumpedIds.length > 0) {
+                    reportPrediction('clumps', [`expected ${prediction.clumpedIds.length} clumped magnets, server found none`]);
+                }
+                prediction = null;
+                break;
+            case 'PLACEMENT_INVALID':
+                prediction = null;
+                break;
+        }
+    }
+
+    function compareMovements(predicted, actual) {
+        const problems = [];
+        for (const movement of actual) {
+            const match = predicted.find(m => m.magnetId === movement.magnetId);
+            if (!match) {
+                problems.push(`${movement.magnetId} moved but was predicted to stay`);
+            } else if (Math.hypot(match.toPosition.x - movement.toPosition.x, match.toPosition.y - movement.toPosition.y) > PREDICTION_TOLERANCE) {
+                problems.push(`${movement.magnetId} predicted at (${match.toPosition.x}, ${match.toPosition.y}), server has (${movement.toPosition.x}, ${movement.toPosition.y})`);
+            }
+        }
+        for (const movement of predicted) {
+            if (!actual.some(m => m.magnetId === movement.magnetId)) {
+                problems.push(`${movement.magnetId} was predicted to move but stayed`);
+            }
+        }
+        return problems;
+    }
+
+    function reportPrediction(what, problems) {
+        if (problems.length === 0) {
+            console.log(`[Game] Predicted ${what} match the server`);
+        } else {
+            console.warn(`[Game] Predicted ${what} differ from the server:`, problems);
+        }
+    }
+
     function drawMagnets() {
         if (!gameState || !gameState.magnets) return;
 
+        const transform = getBoardTransform();
         for (const magnet of gameState.magnets) {
+            if (collecting && collecting.ids.has(magnet.id)) continue; // Drawn flying instead
+            if (transform && !Shapes.contains(gameState.shapeType, magnet.position.x, magnet.position.y, transform)) {
+                drawStrandedMarker(magnet);
+            }
             drawMagnet(magnet);
         }
     }
 
+    /**
+     * Clumped magnets on their way to the collector, shrinking and fading
+     */
+    function drawCollectedMagnets() {
+        for (const flight of collecting.flights) {
+            drawMagnetAt(flight.x, flight.y, flight.playerId, flight.scale, flight.alpha);
+        }
+    }
+
+    /**
+     * Mark a magnet the shifting board has left outside its playable area
+     */
+    function drawStrandedMarker(magnet) {
+        const { x, y } = magnet.position;
+
+        ctx.save();
+        ctx.fillStyle = STRANDED_COLOR + '33';
+        ctx.strokeStyle = STRANDED_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, MAGNET_RADIUS + 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
     function drawMagnet(magnet) {
         drawMagnetAt(magnet.position.x, magnet.position.y, magnet.playerId, 1, 1);
         
         // Draw ownership indicator
         if (magnet.playerId === myPlayerId) {
             ctx.save();
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.strokeStyle = Themes.getCurrent().ownMarker;
             ctx.lineWidth = 1;
             ctx.setLineDash([2, 2]);
             ctx.beginPath();
@@ -371,7 +1005,7 @@ const Game = (function() {
 
     function drawMagnetAt(x, y, playerId, scale = 1, alpha = 1) {
         const playerIndex = gameState.players.findIndex(p => p.id === playerId);
-        const color = PLAYER_COLORS[playerIndex % PLAYER_COLORS.length];
+        const color = getPlayerColor(playerIndex);
         const radius = MAGNET_RADIUS * scale;
 
         ctx.save();
@@ -420,6 +1054,15 @@ const Game = (function() {
         ctx.restore();
     }
 
+    /**
+     * Magnet color of the player at an index, from the current theme
+     */
+    function getPlayerColor(index) {
+        if (index < 0) return LEFT_PLAYER_COLOR;
+        const palette = Themes.getCurrent().magnets;
+        return palette[index % palette.length];
+    }
+
     function lightenColor(color, percent) {
         const num = parseInt(color.slice(1), 16);
         const amt = Math.round(2.55 * percent);
@@ -451,12 +1094,12 @@ const Game = (function() {
 
     function updatePlayersList() {
         const container = document.getElementById('gamePlayersList');
-        if (!container) return;
+        if (!container || !gameState) return;
 
         container.innerHTML = '';
 
         gameState.players.forEach((player, index) => {
-            const color = PLAYER_COLORS[index % PLAYER_COLORS.length];
+            const color = getPlayerColor(index);
             const isMyTurn = player.id === gameState.currentTurnPlayerId;
             const isMe = player.id === myPlayerId;
 
@@ -472,7 +1115,10 @@ const Game = (function() {
                         ${escapeHtml(player.name)}
                         ${isMe ? '<span class="you-badge">(You)</span>' : ''}
                     </div>
-                    <div class="player-magnets">🧲 ${player.remainingMagnets} remaining</div>
+                    <div class="player-magnets">
+                        🧲 ${player.remainingMagnets} remaining
+                        ${formatLatency(player.id)}
+                    </div>
                 </div>
             `;
 
@@ -480,6 +1126,18 @@ const Game = (function() {
         });
     }
 
+    /**
+     * Latency badge for a player list entry (empty until the server reported one)
+     * @param {string} playerId
+     * @returns {string} HTML
+     */
+    function formatLatency(playerId) {
+        const rtt = playerLatencies[playerId];
+        if (!Number.isFinite(rtt)) return '';
+        const quality = WebSocketClient.rateLatency(rtt, 0);
+        return `<span class="player-latency ${quality}">· ${rtt} ms</span>`;
+    }
+
     function updateTurnIndicator() {
         const indicator = document.getElementById('turnIndicator');
         const playerName = document.getElementById('currentTurnPlayer');
@@ -526,14 +1184,36 @@ const Game = (function() {
 
     function reset() {
         gameState = null;
+        magnetsById = new Map();
         myPlayerId = null;
+        placementPending = false;
+        hoverPosition = null;
+        prediction = null;
+        heatmapVisible = false;
+        Heatmap.reset();
+        playerLatencies = {};
+        readOnly = false;
+        cancelAnimations();
+        stopEffects();
+        if (screenCtx) {
+            screenCtx.clearRect(0, 0, canvas.width, canvas.height);
+        }
+    }
+
+    /**
+     * Stop any running animation without calling its onComplete, and drop queued events
+     */
+    function cancelAnimations() {
+        timeline = [];
+        currentStep = null;
+        animationComplete = null;
         animatingMagnets = [];
+        boardShift = null;
+        collecting = null;
         if (animationFrameId) {
             cancelAnimationFrame(animationFrameId);
             animationFrameId = null;
-        }
-        if (ctx) {
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            invalidate(); // Layers may show a frame from the middle of it
         }
     }
 
@@ -544,13 +1224,27 @@ const Game = (function() {
         init,
         updateState,
         setMyPlayerId,
+        setReadOnly,
+        setPlayerLatencies,
         getState,
         getMyPlayerId,
         render,
+        invalidate,
         showMessage,
         reset,
         animateMovements,
         animateClumpCollection,
-        PLAYER_COLORS,
+        animateBoardShift,
+        queueEvent,
+        checkPrediction,
+        setHeatmapVisible,
+        isHeatmapVisible,
+        refreshHeatmap,
+        cancelAnimations,
+        getPlayerColor,
+        formatLatency,
+        MAGNET_RADIUS,
+        CLUMP_THRESHOLD,
+        ATTRACTION_RANGE,
     };
 })();
@@ -0,0 +1,503 @@
+/**
+ * ==========================================
+ * GEOMETRY MODULE
+ * ==========================================
+ * Plain 2D helpers shared by the shape code
+ * - SVG path data parsing, flattened to polygons
+ * - Bounds, areas, point containment, self-intersection, edge distances and path data output
+ * - Scanline rasterization onto a coarse grid (nonzero fill rule, like canvas)
+ *
+ * Points are { x, y }; a polygon is an array of points, implicitly closed
+ */
+
+const Geometry = (function() {
+    // ==========================================
+    // SVG PATH DATA
+    // ==========================================
+    const PARAMETER_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+    const MAX_CURVE_PIECES = 64;
+
+    /**
+     * Parse SVG path data into polygons, flattening curves and arcs
+     * Supports every path command, absolute and relative
+     * @param {string} d - Path data
+     * @param {number} tolerance - Rough length of the straight pieces that replace curves
+     * @returns {Array<Array<{x: number, y: number}>>} One polygon per subpath
+     * @throws {Error} When the path data is malformed
+     */
+    function flattenPath(d, tolerance) {
+        const polygons = [];
+        let polygon = null;
+        let current = { x: 0, y: 0 };
+        let subpathStart = { x: 0, y: 0 };
+        let lastControl = null;   // Reflected by S / T
+        let lastCommand = null;
+
+        const lineTo = (point) => {
+            polygon.push(point);
+            current = point;
+        };
+
+        for (const { command, args } of tokenize(d)) {
+            const upper = command.toUpperCase();
+            const relative = command !== upper;
+            const origin = relative ? current : { x: 0, y: 0 };
+            const at = (ix, iy) => ({ x: origin.x + args[ix], y: origin.y + args[iy] });
+
+            if (upper !== 'M' && !polygon) {
+                throw new Error('Path data must start with a move (M) command');
+            }
+
+            switch (upper) {
+                case 'M':
+                    current = at(0, 1);
+                    subpathStart = current;
+                    polygon = [current];
+                    polygons.push(polygon);
+                    break;
+
+                case 'L':
+                    lineTo(at(0, 1));
+                    break;
+
+                case 'H':
+                    lineTo({ x: origin.x + args[0], y: current.y });
+                    break;
+
+                case 'V':
+                    lineTo({ x: current.x, y: origin.y + args[0] });
+                    break;
+
+                case 'C':
+                case 'S': {
+                    const control1 = upper === 'C'
+                        ? at(0, 1)
+                        : reflect(lastControl, current, ['C', 'S'].includes(lastCommand));
+                    const control2 = upper === 'C' ? at(2, 3) : at(0, 1);
+                    const end = upper === 'C' ? at(4, 5) : at(2, 3);
+                    addCurve(polygon, [current, control1, control2, end], tolerance);
+                    lastControl = control2;
+                    current = end;
+                    break;
+                }
+
+                case 'Q':
+                case 'T': {
+                    const control = upper === 'Q'
+                        ? at(0, 1)
+                        : reflect(lastControl, current, ['Q', 'T'].includes(lastCommand));
+                    const end = upper === 'Q' ? at(2, 3) : at(0, 1);
+                    addCurve(polygon, [current, control, end], tolerance);
+                    lastControl = control;
+                    current = end;
+                    break;
+                }
+
+                case 'A': {
+                    const end = at(5, 6);
+                    addArc(polygon, current, end, args, tolerance);
+                    current = end;
+                    break;
+                }
+
+                case 'Z':
+                    current = subpathStart;
+                    // A drawing command right after Z starts a new subpath from the same point
+                    polygon = [current];
+                    polygons.push(polygon);
+                    break;
+            }
+
+            lastCommand = upper;
+        }
+
+        return polygons.filter(p => p.length > 1);
+    }
+
+    /**
+     * Split path data into commands with their parameters
+     * Implicit repeats are expanded (M x y x y -> M x y L x y)
+     */
+    function tokenize(d) {
+        const commands = [];
+        let index = 0;
+
+        const skipSeparators = () => {
+            while (index < d.length && /[\s,]/.test(d[index])) index++;
+        };
+
+        const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+        const readNumber = () => {
+            skipSeparators();
+            numberPattern.lastIndex = index;
+            const match = numberPattern.exec(d);
+            if (!match) throw syntaxError(d, index);
+            index = numberPattern.lastIndex;
+            return Number(match[0]);
+        };
+
+        // Arc flags are a single digit and may be written without separators ("a1 1 0 011 1")
+        const readFlag = () => {
+            skipSeparators();
+            const flag = d[index];
+            if (flag !== '0' && flag !== '1') throw syntaxError(d, index);
+            index++;
+            return Number(flag);
+        };
+
+        skipSeparators();
+        while (index < d.length) {
+            let command = d[index];
+            const upper = command.toUpperCase();
+            if (!(upper in PARAMETER_COUNTS)) throw syntaxError(d, index);
+            index++;
+
+            const count = PARAMETER_COUNTS[upper];
+            do {
+                const args = [];
+                for (let i = 0; i < count; i++) {
+                    args.push(upper === 'A' && (i === 3 || i === 4) ? readFlag() : readNumber());
+                }
+                commands.push({ command, args });
+
+                // Extra coordinate pairs after a move are lines
+                if (upper === 'M') command = command === 'M' ? 'L' : 'l';
+                skipSeparators();
+            } while (count > 0 && index < d.length && !/[a-zA-Z]/.test(d[index]));
+        }
+
+        return commands;
+    }
+
+    function syntaxError(d, index) {
+        const found = index < d.length ? `"${d[index]}"` : 'the end';
+        return new Error(`Unexpected ${found} at position ${index} of the path data`);
+    }
+
+    function reflect(control, current, follows) {
+        if (!follows || !control) return current;
+        return { x: 2 * current.x - control.x, y: 2 * current.y - control.y };
+    }
+
+    /**
+     * Append a quadratic (3 points) or cubic (4 points) Bezier curve, minus its start point
+     */
+    function addCurve(polygon, controls, tolerance) {
+        const pieces = countPieces(polylineLength(controls), tolerance);
+
+        for (let i = 1; i <= pieces; i++) {
+            const t = i / pieces;
+            const mt = 1 - t;
+            const weights = controls.length === 3
+                ? [mt * mt, 2 * mt * t, t * t]
+                : [mt * mt * mt, 3 * mt * mt * t, 3 * mt * t * t, t * t * t];
+
+            polygon.push({
+                x: weights.reduce((sum, w, k) => sum + w * controls[k].x, 0),
+                y: weights.reduce((sum, w, k) => sum + w * controls[k].y, 0),
+            });
+        }
+    }
+
+    /**
+     * Append an elliptical arc, following the SVG endpoint-to-center conversion
+     * (https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes)
+     */
+    function addArc(polygon, start, end, args, tolerance) {
+        let rx = Math.abs(args[0]);
+        let ry = Math.abs(args[1]);
+        const rotation = args[2] * Math.PI / 180;
+        const largeArc = args[3] === 1;
+        const sweep = args[4] === 1;
+
+        if (rx === 0 || ry === 0 || (start.x === end.x && start.y === end.y)) {
+            polygon.push(end);
+            return;
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const dx = (start.x - end.x) / 2;
+        const dy = (start.y - end.y) / 2;
+        const x1 = cos * dx + sin * dy;
+        const y1 = -sin * dx + cos * dy;
+
+        // Scale the radii up when they can't span the endpoints
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const factor = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+        const cx1 = factor * rx * y1 / ry;
+        const cy1 = -factor * ry * x1 / rx;
+
+        const center = {
+            x: cos * cx1 - sin * cy1 + (start.x + end.x) / 2,
+            y: sin * cx1 + cos * cy1 + (start.y + end.y) / 2,
+        };
+
+        const angleOf = (ux, uy) => Math.atan2(uy, ux);
+        const startAngle = angleOf((x1 - cx1) / rx, (y1 - cy1) / ry);
+        let sweepAngle = angleOf((-x1 - cx1) / rx, (-y1 - cy1) / ry) - startAngle;
+        if (sweep && sweepAngle < 0) sweepAngle += Math.PI * 2;
+        if (!sweep && sweepAngle > 0) sweepAngle -= Math.PI * 2;
+
+        const pieces = countPieces(Math.abs(sweepAngle) * Math.max(rx, ry), tolerance);
+        for (let i = 1; i < pieces; i++) {
+            const angle = startAngle + sweepAngle * (i / pieces);
+            const ex = rx * Math.cos(angle);
+            const ey = ry * Math.sin(angle);
+            polygon.push({ x: center.x + cos * ex - sin * ey, y: center.y + sin * ex + cos * ey });
+        }
+        polygon.push(end);
+    }
+
+    function countPieces(length, tolerance) {
+        if (!(tolerance > 0) || !Number.isFinite(length / tolerance)) return 1;
+        return Math.max(1, Math.min(MAX_CURVE_PIECES, Math.ceil(length / tolerance)));
+    }
+
+    function polylineLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        }
+        return length;
+    }
+
+    /**
+     * Absolute M / L / Z path data for a set of polygons
+     * @param {number} [decimals=1] - Coordinate precision
+     */
+    function toPathData(polygons, decimals = 1) {
+        const factor = Math.pow(10, decimals);
+        const format = (value) => String(Math.round(value * factor) / factor);
+
+        return polygons
+            .map(polygon => polygon
+                .map((p, i) => `${i === 0 ? 'M' : 'L'}${format(p.x)} ${format(p.y)}`)
+                .join(' ') + ' Z')
+            .join(' ');
+    }
+
+    // ==========================================
+    // MEASUREMENTS
+    // ==========================================
+
+    /**
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} Infinite when empty
+     */
+    function getBounds(polygons) {
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        for (const polygon of polygons) {
+            for (const p of polygon) {
+                bounds.minX = Math.min(bounds.minX, p.x);
+                bounds.minY = Math.min(bounds.minY, p.y);
+                bounds.maxX = Math.max(bounds.maxX, p.x);
+                bounds.maxY = Math.max(bounds.maxY, p.y);
+            }
+        }
+        return bounds;
+    }
+
+    /**
+     * Shoelace area, positive for clockwise polygons in canvas coordinates (y down)
+     */
+    function signedArea(polygon) {
+        let area = 0;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            area += (polygon[j].x * polygon[i].y) - (polygon[i].x * polygon[j].y);
+        }
+        return area / 2;
+    }
+
+    /**
+     * Whether a point is inside the outlines, using the nonzero rule like canvas fill()
+     */
+    function containsPoint(polygons, point) {
+        let winding = 0;
+        for (const polygon of polygons) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[j];
+                const b = polygon[i];
+                if ((a.y <= point.y) === (b.y <= point.y)) continue;
+
+                const crossX = a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x);
+                if (crossX > point.x) winding += b.y > a.y ? 1 : -1;
+            }
+        }
+        return winding !== 0;
+    }
+
+    /**
+     * Whether a polygon's edges only meet their neighbours, at the shared corner
+     */
+    function isSimple(polygon) {
+        const n = polygon.length;
+        for (let i = 0; i < n; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % n];
+            // Edges i and i + 1 share a corner, as do the last and the first
+            for (let j = i + 2; j < n; j++) {
+                if (i === 0 && j === n - 1) continue;
+                if (segmentsCross(a, b, polygon[j], polygon[(j + 1) % n])) return false;
+            }
+        }
+        return true;
+    }
+
+    function segmentsCross(a, b, c, d) {
+        const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+        const abC = side(a, b, c);
+        const abD = side(a, b, d);
+        const cdA = side(c, d, a);
+        const cdB = side(c, d, b);
+        if (abC !== abD && cdA !== cdB) return true;
+
+        // Collinear overlaps count as crossings too
+        const onSegment = (p, q, r) => Math.min(p.x, q.x) <= r.x && r.x <= Math.max(p.x, q.x)
+            && Math.min(p.y, q.y) <= r.y && r.y <= Math.max(p.y, q.y);
+        return (abC === 0 && onSegment(a, b, c)) || (abD === 0 && onSegment(a, b, d))
+            || (cdA === 0 && onSegment(c, d, a)) || (cdB === 0 && onSegment(c, d, b));
+    }
+
+    /**
+     * Shortest distance from a point to any edge of the outlines (inside or out)
+     */
+    function distanceToPolygons(polygons, point) {
+        let best = Infinity;
+        for (const polygon of polygons) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                best = Math.min(best, distanceToSegment(point, polygon[j], polygon[i]));
+            }
+        }
+        return best;
+    }
+
+    function distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0
+            : Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+
+    /**
+     * Shortest distance from a point to the outline of an axis-aligned ellipse (inside or out)
+     * Finds the closest point by bisection on its normal, which converges for any axis ratio
+     */
+    function distanceToEllipse(point, cx, cy, rx, ry) {
+        // Work in the first quadrant with the longer axis along x
+        let u = Math.abs(point.x - cx);
+        let v = Math.abs(point.y - cy);
+        let a = rx;
+        let b = ry;
+        if (a < b) {
+            [a, b] = [b, a];
+            [u, v] = [v, u];
+        }
+
+        if (v === 0) {
+            // On the major axis the closest point is either the vertex or, well inside, off-axis
+            if (u < (a * a - b * b) / a) {
+                const x = a * a * u / (a * a - b * b);
+                return Math.hypot(x - u, b * Math.sqrt(1 - (x / a) ** 2));
+            }
+            return Math.abs(a - u);
+        }
+        if (u === 0) return Math.abs(b - v);
+
+        // Closest point is (a²u / (t + a²), b²v / (t + b²)) for the root t of F(t) = 0
+        const F = (t) => (a * u / (t + a * a)) ** 2 + (b * v / (t + b * b)) ** 2 - 1;
+        let low = -b * b + b * v;
+        let high = F(0) > 0 ? Math.hypot(a * u, b * v) : 0;
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (F(mid) > 0) low = mid;
+            else high = mid;
+        }
+        const t = (low + high) / 2;
+        return Math.hypot(a * a * u / (t + a * a) - u, b * b * v / (t + b * b) - v);
+    }
+
+    // ==========================================
+    // RASTERIZATION
+    // ==========================================
+
+    /**
+     * Sample which grid cells are filled, using the nonzero rule like canvas fill()
+     * Each cell is tested at its center with a horizontal scanline
+     * @param {Array} polygons - Outlines to fill
+     * @param {number} width - Area width
+     * @param {number} height - Area height
+     * @param {number} cellSize - Grid spacing
+     * @returns {{columns: number, rows: number, cellSize: number, cells: Uint8Array, filled: number}}
+     */
+    function rasterize(polygons, width, height, cellSize) {
+        const columns = Math.ceil(width / cellSize);
+        const rows = Math.ceil(height / cellSize);
+        const cells = new Uint8Array(columns * rows);
+        let filled = 0;
+
+        for (let row = 0; row < rows; row++) {
+            const y = (row + 0.5) * cellSize;
+            const crossings = scanline(polygons, y);
+
+            // Fill between crossings while the winding number is nonzero
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].direction;
+                if (winding === 0) continue;
+
+                const first = Math.max(0, Math.ceil(crossings[i].x / cellSize - 0.5));
+                const last = Math.min(columns - 1, Math.floor(crossings[i + 1].x / cellSize - 0.5));
+                for (let column = first; column <= last; column++) {
+                    cells[row * columns + column] = 1;
+                    filled++;
+                }
+            }
+        }
+
+        return { columns, rows, cellSize, cells, filled };
+    }
+
+    /**
+     * Where a horizontal line crosses the outlines, sorted left to right
+     */
+    function scanline(polygons, y) {
+        const crossings = [];
+        for (const polygon of polygons) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[j];
+                const b = polygon[i];
+                if ((a.y <= y) === (b.y <= y)) continue;
+
+                crossings.push({
+                    x: a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x),
+                    direction: b.y > a.y ? 1 : -1,
+                });
+            }
+        }
+        return crossings.sort((p, q) => p.x - q.x);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        flattenPath,
+        toPathData,
+        getBounds,
+        signedArea,
+        containsPoint,
+        isSimple,
+        distanceToPolygons,
+        distanceToEllipse,
+        rasterize,
+    };
+})();
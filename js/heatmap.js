@@ -0,0 +1,203 @@
+/**
+ * ==========================================
+ * HEATMAP MODULE
+ * ==========================================
+ * Safe-zone overlay: shades the board by what a magnet placed there would do.
+ *   clump - it would clump right away
+ *   pull  - it would pull other magnets, without a clump
+ *   safe  - nothing in range
+ *
+ * The board is split into CELL_SIZE cells, each rated at its center with the
+ * same simulation the server uses. A cell only depends on magnets within
+ * INFLUENCE_RANGE, so after a placement or clump only the cells around the
+ * magnets that appeared, moved or left are rated again.
+ */
+
+const Heatmap = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const CELL_SIZE = 10;            // px (board coordinates)
+    const COLS = Math.ceil(Shapes.CANVAS_WIDTH / CELL_SIZE);
+    const ROWS = Math.ceil(Shapes.CANVAS_HEIGHT / CELL_SIZE);
+
+    // A placement moves magnets within ATTRACTION_RANGE, which can then clump with
+    // magnets up to CLUMP_THRESHOLD further out
+    const INFLUENCE_RANGE = Game.ATTRACTION_RANGE + Game.CLUMP_THRESHOLD;
+    const PROBE_ID = 'heatmap-probe';
+
+    const OUTSIDE = 0;
+    const SAFE = 1;
+    const PULL = 2;
+    const CLUMP = 3;
+    const RISK_NAMES = ['outside', 'safe', 'pull', 'clump'];
+    const RISK_COLORS = [null, 'rgba(34, 197, 94, 0.22)', 'rgba(245, 158, 11, 0.3)', 'rgba(239, 68, 68, 0.4)'];
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    let risks = new Uint8Array(COLS * ROWS);
+    let built = null;    // { board, transformKey, magnets: Map<id, {x, y}> } the cells were rated for
+    let layer = null;    // One pixel per cell, scaled up when drawn
+    let layerCtx = null;
+
+    // ==========================================
+    // BUILDING
+    // ==========================================
+
+    /**
+     * Bring the heatmap up to date with a game state
+     * Rates every cell when the board changed, otherwise only the cells near magnets
+     * that were added, moved or removed since the last call
+     * @param {Object} gameState - Latest state from the server
+     * @returns {number} Number of cells rated
+     */
+    function sync(gameState) {
+        const board = gameState.shapeType;
+        const transform = gameState.boardTransform || null;
+        const transformKey = transform ? `${transform.rotation}:${transform.scale}` : '';
+        const magnets = new Map(gameState.magnets.map(m => [m.id, { ...m.position }]));
+
+        let changed = null; // Positions around which cells need rating again, null for all
+        if (built && built.board === board && built.transformKey === transformKey) {
+            changed = [];
+            for (const [id, position] of built.magnets) {
+                const now = magnets.get(id);
+                if (!now || now.x !== position.x || now.y !== position.y) changed.push(position);
+            }
+            for (const [id, position] of magnets) {
+                const before = built.magnets.get(id);
+                if (!before || before.x !== position.x || before.y !== position.y) changed.push(position);
+            }
+        }
+
+        built = { board, transformKey, magnets };
+        ensureLayer();
+
+        const grid = Spatial.createGrid(INFLUENCE_RANGE);
+        grid.build(Array.from(magnets, ([id, position]) => ({ id, position })), m => m.position);
+
+        let rated = 0;
+        forEachCell(changed, (col, row) => {
+            const index = row * COLS + col;
+            risks[index] = rateCell(board, transform, grid, col, row);
+            paintCell(col, row, risks[index]);
+            rated++;
+        });
+        return rated;
+    }
+
+    /**
+     * Visit every cell, or only those within INFLUENCE_RANGE of the given positions
+     */
+    function forEachCell(positions, callback) {
+        if (!positions) {
+            for (let row = 0; row < ROWS; row++) {
+                for (let col = 0; col < COLS; col++) callback(col, row);
+            }
+            return;
+        }
+
+        const visited = new Uint8Array(COLS * ROWS);
+        for (const { x, y } of positions) {
+            const minCol = Math.max(0, Math.floor((x - INFLUENCE_RANGE) / CELL_SIZE));
+            const maxCol = Math.min(COLS - 1, Math.floor((x + INFLUENCE_RANGE) / CELL_SIZE));
+            const minRow = Math.max(0, Math.floor((y - INFLUENCE_RANGE) / CELL_SIZE));
+            const maxRow = Math.min(ROWS - 1, Math.floor((y + INFLUENCE_RANGE) / CELL_SIZE));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const index = row * COLS + col;
+                    if (visited[index]) continue;
+                    // Cell centers can be up to half a cell diagonal beyond the range
+                    const center = cellCenter(col, row);
+                    if (Math.hypot(center.x - x, center.y - y) > INFLUENCE_RANGE + CELL_SIZE) continue;
+                    visited[index] = 1;
+                    callback(col, row);
+                }
+            }
+        }
+    }
+
+    function rateCell(board, transform, grid, col, row) {
+        const center = cellCenter(col, row);
+        if (!Shapes.contains(board, center.x, center.y, transform)) return OUTSIDE;
+
+        const nearby = [];
+        grid.query(center.x, center.y, INFLUENCE_RANGE, magnet => nearby.push(magnet));
+        if (nearby.length === 0) return SAFE;
+
+        const { movements, clumpedIds } = Physics.simulatePlacement(nearby, center, PROBE_ID);
+        if (clumpedIds.length > 0) return CLUMP;
+        return movements.length > 0 ? PULL : SAFE;
+    }
+
+    function cellCenter(col, row) {
+        return { x: (col + 0.5) * CELL_SIZE, y: (row + 0.5) * CELL_SIZE };
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    function ensureLayer() {
+        if (layer) return;
+        layer = document.createElement('canvas');
+        layer.width = COLS;
+        layer.height = ROWS;
+        layerCtx = layer.getContext('2d');
+    }
+
+    function paintCell(col, row, risk) {
+        layerCtx.clearRect(col, row, 1, 1);
+        if (!RISK_COLORS[risk]) return;
+        layerCtx.fillStyle = RISK_COLORS[risk];
+        layerCtx.fillRect(col, row, 1, 1);
+    }
+
+    /**
+     * Draw the overlay over the board (ctx in board coordinates)
+     */
+    function draw(ctx) {
+        if (!built) return;
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true; // Soft edges between the cells
+        ctx.drawImage(layer, 0, 0, COLS * CELL_SIZE, ROWS * CELL_SIZE);
+        ctx.restore();
+    }
+
+    // ==========================================
+    // QUERIES
+    // ==========================================
+
+    /**
+     * @returns {string} 'outside', 'safe', 'pull' or 'clump' for the cell holding a board point
+     */
+    function riskAt(x, y) {
+        const col = Math.floor(x / CELL_SIZE);
+        const row = Math.floor(y / CELL_SIZE);
+        if (!built || col < 0 || col >= COLS || row < 0 || row >= ROWS) return RISK_NAMES[OUTSIDE];
+        return RISK_NAMES[risks[row * COLS + col]];
+    }
+
+    /**
+     * Forget the current state, so the next sync rates every cell
+     */
+    function reset() {
+        built = null;
+        risks = new Uint8Array(COLS * ROWS);
+        if (layerCtx) layerCtx.clearRect(0, 0, COLS, ROWS);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        sync,
+        draw,
+        riskAt,
+        reset,
+        CELL_SIZE,
+    };
+})();
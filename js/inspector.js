@@ -0,0 +1,327 @@
+/**
+ * ==========================================
+ * INSPECTOR MODULE
+ * ==========================================
+ * Developer overlay for triaging desync and animation bugs
+ * Logs every message sent and received (with payloads), shows the
+ * current game state and exports the log as a JSON file.
+ *
+ * Only active with ?debug=1: toggle with the ` key or the 🐞 button
+ * Traffic is recorded from page load, so it can be opened after a bug happens
+ */
+
+const Inspector = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const MAX_ENTRIES = 2000;          // Oldest entries are dropped beyond this
+    const HEARTBEAT_TYPES = ['PING', 'PONG'];
+    const TOGGLE_KEY = '`';
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    let elements = null;
+    let entries = [];      // { id, direction: 'in' | 'out', time, type, message, problems }
+    let nextId = 1;
+    let isOpen = false;
+    let activeTab = 'messages';
+    let showHeartbeats = false;
+    let typeFilter = '';
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Start recording traffic and wire up the overlay
+     * Call before WebSocketClient.connect() so the handshake is captured
+     */
+    function init() {
+        elements = {
+            panel: document.getElementById('inspectorPanel'),
+            toggleBtn: document.getElementById('inspectorToggleBtn'),
+            closeBtn: document.getElementById('inspectorCloseBtn'),
+            tabs: document.getElementById('inspectorTabs'),
+            messagesView: document.getElementById('inspectorMessages'),
+            stateView: document.getElementById('inspectorState'),
+            log: document.getElementById('inspectorLog'),
+            stateOutput: document.getElementById('inspectorStateOutput'),
+            stateMeta: document.getElementById('inspectorStateMeta'),
+            filterInput: document.getElementById('inspectorFilter'),
+            heartbeatToggle: document.getElementById('inspectorHeartbeats'),
+            count: document.getElementById('inspectorCount'),
+            clearBtn: document.getElementById('inspectorClearBtn'),
+            exportBtn: document.getElementById('inspectorExportBtn'),
+        };
+
+        // Nobody can open the overlay without ?debug=1, so there is nothing to record either
+        if (new URLSearchParams(window.location.search).get('debug') !== '1') return;
+
+        WebSocketClient.on('sent', (message) => record('out', message));
+        WebSocketClient.on('received', (message) => record('in', message));
+        elements.toggleBtn.classList.remove('hidden');
+
+        setupEventListeners();
+    }
+
+    function setupEventListeners() {
+        elements.toggleBtn.addEventListener('click', toggle);
+        elements.closeBtn.addEventListener('click', close);
+        elements.clearBtn.addEventListener('click', clear);
+        elements.exportBtn.addEventListener('click', exportLog);
+
+        elements.tabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-tab]');
+            if (tab) showTab(tab.dataset.tab);
+        });
+
+        elements.filterInput.addEventListener('input', () => {
+            typeFilter = elements.filterInput.value.trim().toUpperCase();
+            renderLog();
+        });
+
+        elements.heartbeatToggle.addEventListener('change', () => {
+            showHeartbeats = elements.heartbeatToggle.checked;
+            renderLog();
+        });
+
+        // Expand / collapse a row's payload
+        elements.log.addEventListener('click', (e) => {
+            if (e.target.closest('.inspector-payload')) return; // Let the JSON be selected
+            const row = e.target.closest('.inspector-row');
+            if (row) row.classList.toggle('expanded');
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== TOGGLE_KEY || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea')) return;
+            e.preventDefault();
+            toggle();
+        });
+    }
+
+    // ==========================================
+    // RECORDING
+    // ==========================================
+
+    function record(direction, message) {
+        const entry = {
+            id: nextId++,
+            direction,
+            time: Date.now(),
+            type: message && message.type,
+            message,
+            // Flag inbound messages WebSocketClient will reject, they are the usual desync suspects
+            problems: direction === 'in' ? Protocol.validate('inbound', message) : [],
+        };
+
+        entries.push(entry);
+        if (entries.length > MAX_ENTRIES) {
+            const dropped = entries.shift();
+            if (isOpen && isVisible(dropped)) elements.log.firstElementChild?.remove();
+        }
+
+        if (!isOpen) return;
+
+        if (isVisible(entry)) {
+            elements.log.appendChild(createRow(entry));
+            scrollToLatest();
+        }
+        updateCount();
+
+        if (activeTab === 'state' && direction === 'in') {
+            renderState();
+        }
+    }
+
+    function clear() {
+        entries = [];
+        renderLog();
+    }
+
+    // ==========================================
+    // PANEL
+    // ==========================================
+
+    function toggle() {
+        if (isOpen) {
+            close();
+        } else {
+            open();
+        }
+    }
+
+    function open() {
+        isOpen = true;
+        elements.panel.classList.remove('hidden');
+        showTab(activeTab);
+    }
+
+    function close() {
+        isOpen = false;
+        elements.panel.classList.add('hidden');
+    }
+
+    function showTab(tab) {
+        activeTab = tab;
+
+        for (const button of elements.tabs.querySelectorAll('[data-tab]')) {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        }
+        elements.messagesView.classList.toggle('hidden', tab !== 'messages');
+        elements.stateView.classList.toggle('hidden', tab !== 'state');
+
+        if (tab === 'messages') {
+            renderLog();
+        } else {
+            renderState();
+        }
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+
+    function isVisible(entry) {
+        if (!showHeartbeats && HEARTBEAT_TYPES.includes(entry.type)) return false;
+        if (typeFilter && !String(entry.type).includes(typeFilter)) return false;
+        return true;
+    }
+
+    function renderLog() {
+        if (!isOpen) return;
+
+        elements.log.innerHTML = '';
+        const fragment = document.createDocumentFragment();
+        for (const entry of entries) {
+            if (isVisible(entry)) fragment.appendChild(createRow(entry));
+        }
+        elements.log.appendChild(fragment);
+
+        updateCount();
+        scrollToLatest();
+    }
+
+    function createRow(entry) {
+        const row = document.createElement('div');
+        row.className = `inspector-row ${entry.direction}`;
+        if (entry.problems.length > 0) row.classList.add('invalid');
+
+        const summary = document.createElement('div');
+        summary.className = 'inspector-summary';
+        summary.innerHTML = `
+            <span class="inspector-time">${formatTime(entry.time)}</span>
+            <span class="inspector-direction">${entry.direction === 'in' ? '◀' : '▶'}</span>
+            <span class="inspector-type">${escapeHtml(String(entry.type))}</span>
+            <span class="inspector-detail">${escapeHtml(describe(entry.message))}</span>
+        `;
+
+        const payload = document.createElement('pre');
+        payload.className = 'inspector-payload';
+        payload.textContent = (entry.problems.length > 0 ? `Invalid: ${entry.problems.join('; ')}\n\n` : '')
+            + JSON.stringify(entry.message, null, 2);
+
+        row.appendChild(summary);
+        row.appendChild(payload);
+        return row;
+    }
+
+    function renderState() {
+        if (!isOpen || activeTab !== 'state') return;
+
+        const state = Game.getState();
+        const seq = StateStore.getSeq();
+        elements.stateMeta.textContent = [
+            `My player: ${Game.getMyPlayerId() || '-'}`,
+            `Seq: ${seq === null ? '-' : seq}${StateStore.isResyncing() ? ' (resyncing)' : ''}`,
+            `Server features: ${WebSocketClient.getServerFeatures().join(', ') || '-'}`,
+        ].join('  ·  ');
+        elements.stateOutput.textContent = state ? JSON.stringify(state, null, 2) : 'No game state yet';
+    }
+
+    function updateCount() {
+        const shown = elements.log.childElementCount;
+        elements.count.textContent = shown === entries.length
+            ? `${entries.length} messages`
+            : `${shown} of ${entries.length} messages`;
+    }
+
+    function scrollToLatest() {
+        elements.log.scrollTop = elements.log.scrollHeight;
+    }
+
+    /**
+     * One-line hint of what a message is about, so most rows don't need expanding
+     */
+    function describe(message) {
+        if (!message || typeof message !== 'object') return '';
+
+        const parts = [];
+        if (message.requestId) parts.push(`req ${message.requestId}`);
+        if (typeof message.seq === 'number') parts.push(`#${message.seq}`);
+        if (message.changes) parts.push(message.changes.map(c => c.op).join(', '));
+        if (message.movements && message.movements.length > 0) parts.push(`${message.movements.length} moved`);
+        if (message.reason || message.message) parts.push(message.reason || message.message);
+        return parts.join(' · ');
+    }
+
+    function formatTime(time) {
+        const date = new Date(time);
+        const pad = (n, width = 2) => String(n).padStart(width, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // ==========================================
+    // EXPORT
+    // ==========================================
+
+    /**
+     * Download the log together with the current state, for attaching to bug reports
+     */
+    function exportLog() {
+        const report = {
+            exportedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            protocolVersion: Protocol.VERSION,
+            serverFeatures: WebSocketClient.getServerFeatures(),
+            myPlayerId: Game.getMyPlayerId(),
+            gameState: Game.getState(),
+            entries: entries.map(entry => ({
+                direction: entry.direction,
+                time: new Date(entry.time).toISOString(),
+                type: entry.type,
+                problems: entry.problems.length > 0 ? entry.problems : undefined,
+                message: entry.message,
+            })),
+        };
+
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `magnet-shapes-log-${report.exportedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init,
+        toggle,
+        open,
+        close,
+        getEntries: () => entries.slice(),
+        exportLog,
+    };
+})();
@@ -0,0 +1,838 @@
+/**
+ * ==========================================
+ * LOCAL SERVER MODULE
+ * ==========================================
+ * In-browser stand-in for the hosted game server
+ * Speaks the same JSON protocol through a WebSocket-like object,
+ * so the game can be played, demoed and tested without network access
+ */
+
+const LocalServer = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const MAGNETS_PER_PLAYER = 10;
+    const MAX_PLAYERS = 4;           // One per player color
+    const CLUMP_DELAY = 700;         // ms - let the attraction animation finish first
+    const BOT_THINK_TIME = 900;      // ms
+    const RESUME_GRACE = 30000;      // ms a dropped player keeps their seat
+    const BOT_NAMES = ['RoboFox', 'BoltBear', 'CircuitOwl'];
+    const ROTATE_STEP = 15;          // degrees per shift on rotating boards
+    const SHRINK_FACTOR = 0.92;      // size kept per shift on shrinking boards
+    const MIN_SCALE = 0.5;           // shrinking boards stop here
+    const MAX_SHIFT_EVERY = 10;      // turns
+
+    // WebSocket readyState values
+    const CONNECTING = 0;
+    const OPEN = 1;
+    const CLOSED = 3;
+
+    // ==========================================
+    // SERVER STATE
+    // ==========================================
+    const sessions = new Map(); // sessionId -> session
+    let nextId = 1;
+    let botCount = 0;
+    let dropRate = 0;
+
+    /**
+     * Configure the engine
+     * @param {{bots?: number, dropRate?: number}} options - bots: computer players added to new sessions;
+     *   dropRate: fraction of state deltas silently lost, to exercise client resync
+     */
+    function configure(options = {}) {
+        if (typeof options.bots === 'number') {
+            botCount = Math.max(0, Math.min(MAX_PLAYERS - 1, Math.floor(options.bots)));
+        }
+        if (typeof options.dropRate === 'number') {
+            dropRate = Math.max(0, Math.min(1, options.dropRate));
+        }
+    }
+
+    // ==========================================
+    // SOCKET EMULATION
+    // ==========================================
+
+    /**
+     * Create a WebSocket-compatible connection to the local engine
+     * Messages are delivered asynchronously, like a real network
+     */
+    function createSocket() {
+        const connection = { player: null, session: null, socket: null, deltas: false };
+
+        const socket = {
+            readyState: CONNECTING,
+            onopen: null,
+            onclose: null,
+            onerror: null,
+            onmessage: null,
+
+            send(data) {
+                if (socket.readyState !== OPEN) {
+                    throw new Error('Local socket is not open');
+                }
+                setTimeout(() => receive(connection, data), 0);
+            },
+
+            close(code = 1000, reason = '') {
+                if (socket.readyState === CLOSED) return;
+                socket.readyState = CLOSED;
+                dropConnection(connection);
+                setTimeout(() => {
+                    if (socket.onclose) socket.onclose({ code, reason });
+                }, 0);
+            },
+        };
+
+        connection.socket = socket;
+
+        setTimeout(() => {
+            if (socket.readyState !== CONNECTING) return;
+            socket.readyState = OPEN;
+            if (socket.onopen) socket.onopen({});
+        }, 0);
+
+        return socket;
+    }
+
+    function deliver(connection, message) {
+        if (!connection) return; // Bots have no connection
+        const socket = connection.socket;
+        const data = JSON.stringify(message);
+
+        setTimeout(() => {
+            if (socket.readyState === OPEN && socket.onmessage) {
+                socket.onmessage({ data });
+            }
+        }, 0);
+    }
+
+    /**
+     * Answer a client request, echoing its requestId so the client can match the reply
+     */
+    function reply(connection, request, message) {
+        deliver(connection, request && request.requestId ? { ...message, requestId: request.requestId } : message);
+    }
+
+    /**
+     * Send a message to everyone in the session
+     * @param {Object} except - Connection to skip
+     * @param {{connection: Object, requestId: string}} origin - Requester whose copy carries the requestId
+     */
+    function broadcast(session, message, except = null, origin = null) {
+        for (const player of session.players) {
+            if (player.connection === except) continue;
+
+            if (origin && player.connection === origin.connection) {
+                reply(player.connection, origin, message);
+            } else {
+                deliver(player.connection, message);
+            }
+        }
+    }
+
+    /**
+     * Broadcast a state change as the session's next numbered update
+     * Clients that opted into deltas get the changes, others a full gameState
+     * @param {Object} message - Event fields (type, playerId, ...)
+     * @param {Array} changes - Delta operations, see StateStore
+     */
+    function publish(session, message, changes, except = null, origin = null) {
+        const seq = ++session.seq;
+        let gameState = null;
+
+        for (const player of session.players) {
+            const connection = player.connection;
+            if (!connection || connection === except) continue;
+
+            const isOrigin = origin && connection === origin.connection;
+            let payload;
+
+            if (connection.deltas) {
+                // Lose a few deltas on purpose; the requester's copy is kept so its promise still settles
+                if (!isOrigin && Math.random() < dropRate) {
+                    console.log(`[Local] Dropping ${message.type} #${seq} for ${player.name}`);
+                    continue;
+                }
+                payload = { ...message, seq, changes };
+            } else {
+                gameState = gameState || serializeState(session);
+                payload = { ...message, seq, gameState };
+            }
+
+            if (isOrigin) {
+                reply(connection, origin, payload);
+            } else {
+                deliver(connection, payload);
+            }
+        }
+    }
+
+    // ==========================================
+    // MESSAGE HANDLING
+    // ==========================================
+
+    function receive(connection, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            deliver(connection, { type: 'ERROR', message: 'Malformed message' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'CREATE_SESSION':
+                handleCreateSession(connection, message);
+                break;
+            case 'JOIN_SESSION':
+                handleJoinSession(connection, message);
+                break;
+            case 'START_GAME':
+                handleStartGame(connection, message);
+                break;
+            case 'PLACE_MAGNET':
+                handlePlaceMagnet(connection, message);
+                break;
+            case 'LEAVE_SESSION':
+                leaveSession(connection);
+                break;
+            case 'RESUME_SESSION':
+                handleResumeSession(connection, message);
+                break;
+            case 'HELLO':
+                handleHello(connection, message);
+                break;
+            case 'PING':
+                handlePing(connection, message);
+                break;
+            case 'REQUEST_SNAPSHOT':
+                handleRequestSnapshot(connection, message);
+                break;
+            default:
+                reply(connection, message, { type: 'ERROR', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    function handleCreateSession(connection, message) {
+        const name = sanitizeName(message.playerName);
+        if (!name) {
+            reply(connection, message, { type: 'ERROR', message: 'Player name is required' });
+            return;
+        }
+
+        // Custom boards are checked again here - only their geometry is kept
+        let customShape = null;
+        if (message.shapeType === ShapeImport.CUSTOM_SHAPE_ID) {
+            if (!message.customShape) {
+                reply(connection, message, { type: 'ERROR', message: 'Custom shape outline is missing' });
+                return;
+            }
+            try {
+                customShape = ShapeImport.check(message.customShape);
+            } catch (error) {
+                reply(connection, message, { type: 'ERROR', message: `Invalid custom shape: ${error.message}` });
+                return;
+            }
+        } else if (!Shapes.has(message.shapeType)) {
+            reply(connection, message, { type: 'ERROR', message: `Unknown shape: ${message.shapeType}` });
+            return;
+        }
+
+        const shifting = message.shifting || null;
+        if (shifting && !['rotate', 'shrink'].includes(shifting.mode)) {
+            reply(connection, message, { type: 'ERROR', message: `Unknown board shift: ${shifting.mode}` });
+            return;
+        }
+        if (shifting && !(Number.isInteger(shifting.every) && shifting.every >= 1 && shifting.every <= MAX_SHIFT_EVERY)) {
+            reply(connection, message, { type: 'ERROR', message: `Boards can shift every 1 to ${MAX_SHIFT_EVERY} turns` });
+            return;
+        }
+
+        leaveSession(connection);
+
+        const session = {
+            sessionId: generateSessionCode(),
+            shapeType: message.shapeType,
+            customShape,
+            shifting: shifting && { mode: shifting.mode, every: shifting.every },
+            boardTransform: { rotation: 0, scale: 1 },
+            turnsPlayed: 0, // Turns finished since the game started, for shifting boards
+            allowHeatmap: message.allowHeatmap !== false,
+            status: 'waiting',
+            players: [],
+            magnets: [],
+            hostPlayerId: null,
+            currentTurnPlayerId: null,
+            busy: false, // True while a placement is still resolving
+            seq: 0,      // Number of the last published state update
+        };
+        sessions.set(session.sessionId, session);
+
+        const player = addPlayer(session, name, connection);
+        session.hostPlayerId = player.id;
+
+        reply(connection, message, {
+            type: 'SESSION_CREATED',
+            sessionId: session.sessionId,
+            playerId: player.id,
+            rejoinToken: player.rejoinToken,
+            seq: session.seq,
+            gameState: serializeState(session),
+        });
+
+        for (let i = 0; i < botCount; i++) {
+            const bot = addPlayer(session, BOT_NAMES[i % BOT_NAMES.length], null);
+            publish(session, { type: 'PLAYER_JOINED', player: serializePlayer(bot) }, [
+                { op: 'playerAdded', player: serializePlayer(bot) },
+            ]);
+        }
+    }
+
+    function handleJoinSession(connection, message) {
+        const name = sanitizeName(message.playerName);
+        const session = sessions.get(String(message.sessionId || '').toUpperCase());
+
+        if (!name) {
+            reply(connection, message, { type: 'ERROR', message: 'Player name is required' });
+            return;
+        }
+        if (!session) {
+            reply(connection, message, { type: 'ERROR', message: 'Session not found' });
+            return;
+        }
+        if (session.status === 'finished') {
+            reply(connection, message, { type: 'ERROR', message: 'This game has already finished' });
+            return;
+        }
+        if (session.players.length >= MAX_PLAYERS) {
+            reply(connection, message, { type: 'ERROR', message: 'Session is full' });
+            return;
+        }
+
+        leaveSession(connection);
+
+        const player = addPlayer(session, name, connection);
+
+        publish(session, { type: 'PLAYER_JOINED', player: serializePlayer(player) }, [
+            { op: 'playerAdded', player: serializePlayer(player) },
+        ], connection);
+        reply(connection, message, {
+            type: 'SESSION_JOINED',
+            playerId: player.id,
+            rejoinToken: player.rejoinToken,
+            seq: session.seq,
+            gameState: serializeState(session),
+        });
+    }
+
+    function handleResumeSession(connection, message) {
+        const session = sessions.get(message.sessionId);
+        const player = session && session.players.find(p => p.id === message.playerId);
+
+        if (!player || player.isBot || player.rejoinToken !== message.rejoinToken) {
+            reply(connection, message, { type: 'RESUME_FAILED', reason: 'Your seat in this session is no longer available' });
+            return;
+        }
+
+        // A newer connection wins over a stale one that hasn't noticed the drop yet
+        if (player.connection && player.connection !== connection) {
+            player.connection.session = null;
+            player.connection.player = null;
+        }
+
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+        player.connected = true;
+        player.connection = connection;
+        connection.session = session;
+        connection.player = player;
+
+        publish(session, { type: 'PLAYER_RECONNECTED', playerId: player.id }, [
+            { op: 'playerUpdated', player: { id: player.id, connected: true } },
+        ], connection);
+        reply(connection, message, {
+            type: 'SESSION_RESUMED',
+            sessionId: session.sessionId,
+            playerId: player.id,
+            rejoinToken: player.rejoinToken,
+            seq: session.seq,
+            gameState: serializeState(session),
+        });
+    }
+
+    function handleHello(connection, message) {
+        if (message.protocolVersion !== Protocol.VERSION) {
+            reply(connection, message, { type: 'ERROR', message: `Unsupported protocol version ${message.protocolVersion}` });
+            return;
+        }
+
+        // Deltas are opt-in so older clients keep receiving full snapshots
+        connection.deltas = Array.isArray(message.features) && message.features.includes('deltas');
+
+        reply(connection, message, {
+            type: 'WELCOME',
+            protocolVersion: Protocol.VERSION,
+            features: Protocol.FEATURES.filter(f => f !== 'deltas' || connection.deltas),
+        });
+    }
+
+    function handleRequestSnapshot(connection, message) {
+        const session = connection.session;
+        if (!session) {
+            reply(connection, message, { type: 'ERROR', message: 'Not in a session' });
+            return;
+        }
+
+        reply(connection, message, { type: 'STATE_SNAPSHOT', seq: session.seq, gameState: serializeState(session) });
+    }
+
+    /**
+     * Answer heartbeats and share each player's self-reported latency with the session
+     */
+    function handlePing(connection, message) {
+        const session = connection.session;
+        const pong = { type: 'PONG', pingId: message.pingId };
+        if (session) {
+            pong.seq = session.seq; // Lets clients notice a lost update even when nothing follows it
+        }
+        deliver(connection, pong);
+
+        const player = connection.player;
+        if (!player || !Number.isFinite(message.latency) || player.latency === message.latency) return;
+
+        player.latency = message.latency;
+
+        const latencies = {};
+        for (const p of session.players) {
+            if (Number.isFinite(p.latency)) latencies[p.id] = p.latency;
+        }
+        broadcast(session, { type: 'LATENCY_UPDATE', latencies });
+    }
+
+    function handleStartGame(connection, message) {
+        const session = connection.session;
+
+        if (!session) {
+            reply(connection, message, { type: 'ERROR', message: 'Not in a session' });
+            return;
+        }
+        if (session.hostPlayerId !== connection.player.id) {
+            reply(connection, message, { type: 'ERROR', message: 'Only the host can start the game' });
+            return;
+        }
+        if (session.status !== 'waiting') {
+            reply(connection, message, { type: 'ERROR', message: 'Game has already started' });
+            return;
+        }
+        if (session.players.length < 2) {
+            reply(connection, message, { type: 'ERROR', message: 'At least 2 players are needed to start' });
+            return;
+        }
+
+        session.status = 'playing';
+        session.currentTurnPlayerId = session.players[0].id;
+
+        publish(session, { type: 'GAME_STARTED' }, [
+            { op: 'sessionUpdated', fields: { status: session.status, currentTurnPlayerId: session.currentTurnPlayerId } },
+        ], null, { connection, requestId: message.requestId });
+        scheduleBotTurn(session);
+    }
+
+    function handlePlaceMagnet(connection, message) {
+        const session = connection.session;
+        const reason = session ? validatePlacement(session, connection.player, message.position) : 'Not in a session';
+
+        if (reason) {
+            reply(connection, message, { type: 'PLACEMENT_INVALID', reason });
+            return;
+        }
+
+        placeMagnet(session, connection.player, message.position, { connection, requestId: message.requestId });
+    }
+
+    // ==========================================
+    // GAME RULES
+    // ==========================================
+
+    /**
+     * Check whether a player may place a magnet at a position
+     * @returns {string|null} Reason the placement is rejected, or null if valid
+     */
+    function validatePlacement(session, player, position) {
+        if (session.status !== 'playing') return 'The game is not in progress';
+        if (session.busy) return 'Wait for the magnets to settle';
+        if (session.currentTurnPlayerId !== player.id) return "It's not your turn";
+        if (player.remainingMagnets <= 0) return 'You have no magnets left';
+
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+            return 'Invalid position';
+        }
+        const board = getBoard(session);
+        if (Shapes.inZone(board, position.x, position.y, session.boardTransform)) {
+            return 'Magnets cannot be placed in a no-go zone';
+        }
+        if (!Shapes.contains(board, position.x, position.y, session.boardTransform)) {
+            return 'Magnet must be placed inside the shape';
+        }
+
+        return null;
+    }
+
+    /**
+     * The shape a session is played on: its imported outline, or a built-in shape id
+     */
+    function getBoard(session) {
+        return session.customShape || session.shapeType;
+    }
+
+    /**
+     * @param {{connection: Object, requestId: string}} origin - Requesting client, if any (bots have none)
+     */
+    function placeMagnet(session, player, position, origin = null) {
+        const magnet = {
+            id: `m${nextId++}`,
+            playerId: player.id,
+            position: { x: position.x, y: position.y },
+        };
+
+        const { movements, clumpedIds } = Physics.simulatePlacement(session.magnets, magnet.position, magnet.id);
+
+        for (const movement of movements) {
+            const moved = session.magnets.find(m => m.id === movement.magnetId);
+            moved.position = { ...movement.toPosition };
+        }
+
+        session.magnets.push(magnet);
+        player.remainingMagnets--;
+
+        publish(session, {
+            type: 'MAGNET_PLACED',
+            magnet: { ...magnet, position: { ...magnet.position } },
+            movements,
+        }, [
+            { op: 'magnetsMoved', movements },
+            { op: 'magnetAdded', magnet: { ...magnet, position: { ...magnet.position } } },
+            { op: 'playerUpdated', player: { id: player.id, remainingMagnets: player.remainingMagnets } },
+        ], null, origin);
+
+        if (clumpedIds.length === 0) {
+            finishTurn(session, player);
+            return;
+        }
+
+        session.busy = true;
+        setTimeout(() => {
+            if (!sessions.has(session.sessionId)) return;
+            session.busy = false;
+
+            collectClump(session, player, clumpedIds);
+
+            // Leaving during the delay already passed their turn on
+            if (session.players.includes(player) && session.currentTurnPlayerId === player.id) {
+                finishTurn(session, player);
+            }
+        }, CLUMP_DELAY);
+    }
+
+    /**
+     * Clumped magnets are removed from the board and handed to the player who caused them
+     * (a player who left meanwhile gets nothing, but the clump still leaves the board)
+     */
+    function collectClump(session, collector, clumpedIds) {
+        const ids = new Set(clumpedIds);
+        const clumpedMagnets = session.magnets.filter(m => ids.has(m.id));
+        const changes = [{ op: 'magnetsRemoved', magnetIds: clumpedMagnets.map(m => m.id) }];
+
+        session.magnets = session.magnets.filter(m => !ids.has(m.id));
+        if (session.players.includes(collector)) {
+            collector.remainingMagnets += clumpedMagnets.length;
+            changes.push({ op: 'playerUpdated', player: { id: collector.id, remainingMagnets: collector.remainingMagnets } });
+        }
+
+        publish(session, {
+            type: 'MAGNETS_CLUMPED',
+            collectorPlayerId: collector.id,
+            magnetsCollected: clumpedMagnets.length,
+            clumpedMagnets,
+        }, changes);
+    }
+
+    function finishTurn(session, player) {
+        if (session.status !== 'playing') return;
+
+        if (player.remainingMagnets === 0) {
+            endGame(session, player);
+            return;
+        }
+
+        advanceTurn(session);
+    }
+
+    function advanceTurn(session) {
+        const players = session.players;
+        if (players.length === 0) return;
+
+        const currentIndex = players.findIndex(p => p.id === session.currentTurnPlayerId);
+        let next = players[(currentIndex + 1) % players.length];
+
+        // Skip disconnected players, but never loop forever
+        for (let i = 0; i < players.length && !next.connected; i++) {
+            next = players[(players.indexOf(next) + 1) % players.length];
+        }
+
+        session.turnsPlayed++;
+        if (session.shifting && session.turnsPlayed % session.shifting.every === 0) {
+            shiftBoard(session);
+        }
+
+        session.currentTurnPlayerId = next.id;
+        publish(session, { type: 'TURN_CHANGED', currentTurnPlayerId: next.id }, [
+            { op: 'turnChanged', currentTurnPlayerId: next.id },
+        ]);
+        scheduleBotTurn(session);
+    }
+
+    /**
+     * Rotate or shrink a shifting board by one step. Magnets stay where they are,
+     * even when the board moves out from under them.
+     */
+    function shiftBoard(session) {
+        const { rotation, scale } = session.boardTransform;
+        const boardTransform = session.shifting.mode === 'rotate'
+            ? { rotation: (rotation + ROTATE_STEP) % 360, scale }
+            : { rotation, scale: Math.max(MIN_SCALE, Math.round(scale * SHRINK_FACTOR * 1000) / 1000) };
+
+        if (boardTransform.rotation === rotation && boardTransform.scale === scale) return;
+
+        session.boardTransform = boardTransform;
+        publish(session, { type: 'BOARD_SHIFTED', boardTransform: { ...boardTransform } }, [
+            { op: 'sessionUpdated', fields: { boardTransform: { ...boardTransform } } },
+        ]);
+    }
+
+    function endGame(session, winner) {
+        session.status = 'finished';
+        session.currentTurnPlayerId = null;
+
+        publish(session, {
+            type: 'GAME_OVER',
+            winnerId: winner.id,
+            winnerName: winner.name,
+        }, [
+            { op: 'sessionUpdated', fields: { status: 'finished', currentTurnPlayerId: null } },
+        ]);
+    }
+
+    // ==========================================
+    // PLAYERS
+    // ==========================================
+
+    function addPlayer(session, name, connection) {
+        const player = {
+            id: `p${nextId++}`,
+            name,
+            remainingMagnets: MAGNETS_PER_PLAYER,
+            connected: true,
+            isBot: connection === null,
+            rejoinToken: connection ? generateToken() : null,
+            latency: null,
+            graceTimer: null,
+            connection,
+        };
+
+        session.players.push(player);
+
+        if (connection) {
+            connection.session = session;
+            connection.player = player;
+        }
+
+        return player;
+    }
+
+    function leaveSession(connection) {
+        const session = connection.session;
+        const player = connection.player;
+        if (!session || !player) return;
+
+        connection.session = null;
+        connection.player = null;
+        removePlayer(session, player);
+    }
+
+    function removePlayer(session, player) {
+        clearTimeout(player.graceTimer);
+
+        const wasTheirTurn = session.currentTurnPlayerId === player.id;
+        const index = session.players.indexOf(player);
+        session.players.splice(index, 1);
+
+        const humans = session.players.filter(p => !p.isBot);
+        if (humans.length === 0) {
+            sessions.delete(session.sessionId);
+            return;
+        }
+
+        if (session.hostPlayerId === player.id) {
+            session.hostPlayerId = humans[0].id;
+        }
+
+        publish(session, {
+            type: 'PLAYER_LEFT',
+            playerId: player.id,
+            playerName: player.name,
+        }, [
+            { op: 'playerRemoved', playerId: player.id },
+            { op: 'sessionUpdated', fields: { hostPlayerId: session.hostPlayerId } },
+        ]);
+
+        if (session.status !== 'playing') return;
+
+        if (session.players.length < 2) {
+            endGame(session, session.players[0]);
+        } else if (wasTheirTurn) {
+            // Hand the turn to whoever sat after the leaving player
+            session.currentTurnPlayerId = session.players[(index - 1 + session.players.length) % session.players.length].id;
+            advanceTurn(session);
+        }
+    }
+
+    /**
+     * A dropped socket keeps its seat for a grace period so the client can resume
+     */
+    function dropConnection(connection) {
+        const session = connection.session;
+        const player = connection.player;
+        if (!session || !player) return;
+
+        connection.session = null;
+        connection.player = null;
+        player.connection = null;
+        player.connected = false;
+
+        publish(session, { type: 'PLAYER_DISCONNECTED', playerId: player.id }, [
+            { op: 'playerUpdated', player: { id: player.id, connected: false } },
+        ]);
+
+        player.graceTimer = setTimeout(() => {
+            if (!player.connected && session.players.includes(player)) {
+                removePlayer(session, player);
+            }
+        }, RESUME_GRACE);
+    }
+
+    // ==========================================
+    // BOTS
+    // ==========================================
+
+    function scheduleBotTurn(session) {
+        const player = session.players.find(p => p.id === session.currentTurnPlayerId);
+        if (!player || !player.isBot) return;
+
+        setTimeout(() => {
+            if (session.status !== 'playing' || session.currentTurnPlayerId !== player.id) return;
+            if (!sessions.has(session.sessionId)) return;
+
+            const position = pickBotPosition(session);
+            if (position) {
+                placeMagnet(session, player, position);
+            } else {
+                advanceTurn(session);
+            }
+        }, BOT_THINK_TIME);
+    }
+
+    /**
+     * Bots try a handful of random spots and keep the one farthest from other magnets
+     */
+    function pickBotPosition(session) {
+        const board = getBoard(session);
+        let best = null;
+        let bestDistance = -1;
+
+        for (let attempt = 0; attempt < 200; attempt++) {
+            const candidate = {
+                x: Math.round(Math.random() * Shapes.CANVAS_WIDTH),
+                y: Math.round(Math.random() * Shapes.CANVAS_HEIGHT),
+            };
+            if (!Shapes.contains(board, candidate.x, candidate.y, session.boardTransform)) continue;
+
+            let nearest = Infinity;
+            for (const magnet of session.magnets) {
+                nearest = Math.min(nearest, Math.hypot(magnet.position.x - candidate.x, magnet.position.y - candidate.y));
+            }
+
+            if (nearest > bestDistance) {
+                best = candidate;
+                bestDistance = nearest;
+            }
+        }
+
+        return best;
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    function serializePlayer(player) {
+        return {
+            id: player.id,
+            name: player.name,
+            remainingMagnets: player.remainingMagnets,
+            connected: player.connected,
+        };
+    }
+
+    /**
+     * Snapshot of a session in the shape the client expects as gameState
+     */
+    function serializeState(session) {
+        return {
+            sessionId: session.sessionId,
+            shapeType: session.shapeType,
+            customShape: session.customShape,
+            shifting: session.shifting,
+            boardTransform: { ...session.boardTransform },
+            allowHeatmap: session.allowHeatmap,
+            status: session.status,
+            hostPlayerId: session.hostPlayerId,
+            currentTurnPlayerId: session.currentTurnPlayerId,
+            players: session.players.map(serializePlayer),
+            magnets: session.magnets.map(m => ({ ...m, position: { ...m.position } })),
+        };
+    }
+
+    function sanitizeName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, 20) : '';
+    }
+
+    function generateToken() {
+        let token = '';
+        for (let i = 0; i < 4; i++) {
+            token += Math.random().toString(36).slice(2, 10);
+        }
+        return token;
+    }
+
+    function generateSessionCode() {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < 6; i++) {
+                code += alphabet[Math.floor(Math.random() * alphabet.length)];
+            }
+        } while (sessions.has(code));
+        return code;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        configure,
+        createSocket,
+    };
+})();
@@ -13,22 +13,44 @@
     const elements = {
         // Connection status
         connectionStatus: document.getElementById('connectionStatus'),
+        retryNowBtn: document.getElementById('retryNowBtn'),
+        connectionQuality: document.getElementById('connectionQuality'),
+        connectionLatency: document.getElementById('connectionLatency'),
         
         // Screens
         lobbyScreen: document.getElementById('lobbyScreen'),
         waitingScreen: document.getElementById('waitingScreen'),
         gameScreen: document.getElementById('gameScreen'),
+        editorScreen: document.getElementById('editorScreen'),
         
         // Lobby elements
         playerNameInput: document.getElementById('playerName'),
         shapeButtons: document.getElementById('shapeButtons'),
+        shapeDifficultyFilter: document.getElementById('shapeDifficultyFilter'),
+        shapeSortSelect: document.getElementById('shapeSortSelect'),
+        randomBoardControls: document.getElementById('randomBoardControls'),
+        randomBoardBtn: document.getElementById('randomBoardBtn'),
+        boardSeedInput: document.getElementById('boardSeedInput'),
+        boardShiftMode: document.getElementById('boardShiftMode'),
+        boardShiftEvery: document.getElementById('boardShiftEvery'),
+        allowHeatmapInput: document.getElementById('allowHeatmapInput'),
+        customPathInput: document.getElementById('customPathInput'),
+        customPathBtn: document.getElementById('customPathBtn'),
+        customSvgBtn: document.getElementById('customSvgBtn'),
+        customSvgInput: document.getElementById('customSvgInput'),
+        customShapePreview: document.getElementById('customShapePreview'),
         createGameBtn: document.getElementById('createGameBtn'),
         sessionCodeInput: document.getElementById('sessionCode'),
         joinGameBtn: document.getElementById('joinGameBtn'),
+        openEditorBtn: document.getElementById('openEditorBtn'),
+        openReplayBtn: document.getElementById('openReplayBtn'),
+        replayFileInput: document.getElementById('replayFileInput'),
         
         // Waiting room elements
         displaySessionCode: document.getElementById('displaySessionCode'),
         displayShapeName: document.getElementById('displayShapeName'),
+        displayBoardSeed: document.getElementById('displayBoardSeed'),
+        displayBoardShift: document.getElementById('displayBoardShift'),
         copyCodeBtn: document.getElementById('copyCodeBtn'),
         copyLinkBtn: document.getElementById('copyLinkBtn'),
         waitingPlayersList: document.getElementById('waitingPlayersList'),
@@ -38,14 +60,20 @@
         
         // Game elements
         gameSessionCode: document.getElementById('gameSessionCode'),
+        gameScreenLabel: document.querySelector('#gameScreen .session-badge .label'),
         gameCanvas: document.getElementById('gameCanvas'),
-        maskCanvas: document.getElementById('maskCanvas'),
         leaveGameBtn: document.getElementById('leaveGameBtn'),
+        heatmapToggleBtn: document.getElementById('heatmapToggleBtn'),
+        reconnectOverlay: document.getElementById('reconnectOverlay'),
+        reconnectMessage: document.getElementById('reconnectMessage'),
+        reconnectLobbyBtn: document.getElementById('reconnectLobbyBtn'),
+        reconnectRetryBtn: document.getElementById('reconnectRetryBtn'),
         
         // Game over modal
         gameOverModal: document.getElementById('gameOverModal'),
         winnerName: document.getElementById('winnerName'),
         backToLobbyBtn: document.getElementById('backToLobbyBtn'),
+        downloadReplayBtn: document.getElementById('downloadReplayBtn'),
     };
 
     // ==========================================
@@ -74,13 +102,30 @@
     let currentSessionId = null;
     let isHost = false;
     let pendingJoinCode = null; // For auto-joining from URL
+    let reconnectCountdownTimer = null;
+    let snapshotRetryTimer = null;
+    let metricsPending = false;   // Lobby badges still being measured in idle time
+
+    // Snapshot requests after a missed delta are retried until one arrives
+    const SNAPSHOT_RETRY_DELAY = 1000;      // ms before the first retry, doubling after that
+    const SNAPSHOT_RETRY_MAX_DELAY = 16000; // ms
+
+    // Request errors with a UI of their own: ERROR replies go through handleError,
+    // rejected placements through handlePlacementInvalid
+    const REPORTED_ERROR_CODES = ['SERVER_ERROR', 'PLACEMENT_INVALID'];
 
     // ==========================================
     // INITIALIZATION
     // ==========================================
 
     function init() {
-        Game.init(elements.gameCanvas, elements.maskCanvas);
+        Themes.init();
+        Game.init(elements.gameCanvas);
+        Inspector.init();
+        Replay.init();
+        BoardEditor.init();
+        renderDifficultyOptions();
+        renderShapeButtons();
         setupEventListeners();
         setupWebSocketHandlers();
         
@@ -104,8 +149,10 @@
             elements.playerNameInput.value = generateRandomName();
             pendingJoinCode = joinCode.toUpperCase();
             
-            // Clean up URL without refreshing
-            const newUrl = window.location.pathname;
+            // Clean up URL without refreshing (keep other settings such as ?server=local)
+            urlParams.delete('join');
+            const query = urlParams.toString();
+            const newUrl = window.location.pathname + (query ? `?${query}` : '');
             window.history.replaceState({}, document.title, newUrl);
         }
     }
@@ -121,6 +168,53 @@
             selectedShape = btn.dataset.shape;
         });
 
+        elements.shapeDifficultyFilter.addEventListener('change', renderShapeButtons);
+        elements.shapeSortSelect.addEventListener('change', renderShapeButtons);
+
+        // Random boards
+        elements.randomBoardBtn.addEventListener('click', () => {
+            const seed = BoardGenerator.randomSeed();
+            elements.boardSeedInput.value = seed;
+            selectRandomBoard(seed);
+        });
+        elements.boardSeedInput.addEventListener('change', () => {
+            const seed = elements.boardSeedInput.value.trim();
+            if (!seed) return;
+            if (!BoardGenerator.isValidSeed(seed)) {
+                alert(`A seed is a whole number from 1 to ${BoardGenerator.MAX_SEED}`);
+                return;
+            }
+            selectRandomBoard(Number(seed));
+        });
+
+        elements.boardShiftMode.addEventListener('change', () => {
+            elements.boardShiftEvery.disabled = !elements.boardShiftMode.value;
+        });
+
+        // Shapes registered later (e.g. by plugins) show up in the lobby too
+        Shapes.on('registered', renderShapeButtons);
+
+        // Player colors come from the theme
+        Themes.on('changed', () => {
+            const gameState = StateStore.getState();
+            if (gameState && gameState.status === 'waiting') updateWaitingPlayersList(gameState.players);
+        });
+
+        elements.customPathBtn.addEventListener('click', handleCustomPath);
+        elements.customSvgBtn.addEventListener('click', () => elements.customSvgInput.click());
+        elements.customSvgInput.addEventListener('change', handleCustomSvgFile);
+
+        // Board editor
+        elements.openEditorBtn.addEventListener('click', () => {
+            showScreen('editor');
+            BoardEditor.open();
+        });
+        BoardEditor.on('use', (board) => {
+            applyCustomShape(board);
+            showScreen('lobby');
+        });
+        BoardEditor.on('close', () => showScreen('lobby'));
+
         elements.createGameBtn.addEventListener('click', handleCreateGame);
         elements.joinGameBtn.addEventListener('click', handleJoinGame);
         elements.copyCodeBtn.addEventListener('click', handleCopyCode);
@@ -128,7 +222,14 @@
         elements.startGameBtn.addEventListener('click', handleStartGame);
         elements.leaveWaitingBtn.addEventListener('click', handleLeaveSession);
         elements.leaveGameBtn.addEventListener('click', handleLeaveSession);
+        elements.heatmapToggleBtn.addEventListener('click', () => setHeatmapVisible(!Game.isHeatmapVisible()));
+        elements.reconnectLobbyBtn.addEventListener('click', handleLeaveSession);
+        elements.retryNowBtn.addEventListener('click', () => WebSocketClient.retryNow());
+        elements.reconnectRetryBtn.addEventListener('click', () => WebSocketClient.retryNow());
         elements.backToLobbyBtn.addEventListener('click', handleBackToLobby);
+        elements.downloadReplayBtn.addEventListener('click', () => Replay.download());
+        elements.openReplayBtn.addEventListener('click', () => elements.replayFileInput.click());
+        elements.replayFileInput.addEventListener('change', handleReplayFile);
 
         elements.playerNameInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -148,17 +249,74 @@
     function setupWebSocketHandlers() {
         WebSocketClient.on('connect', () => {
             updateConnectionStatus('connected');
+
+            // Reconnected, but the server gave us no way to reclaim our seat
+            if (currentSessionId && !WebSocketClient.isResuming()) {
+                hideReconnectOverlay();
+                resetToLobby();
+                alert('Connection lost - your game session could not be restored.');
+            }
+        });
+
+        // The lobby only offers boards the server can play
+        WebSocketClient.on('handshake', ({ protocolVersion, features }) => {
+            // Mismatches are toasts, which the lobby can't show - the status badge tells it there
+            if (protocolVersion === null) updateConnectionStatus('legacy');
+            elements.randomBoardControls.classList.toggle('hidden', !features.includes('randomBoards'));
+            renderShapeButtons();
         });
 
         WebSocketClient.on('disconnect', () => {
             updateConnectionStatus('disconnected');
+            updateConnectionQuality(null);
+
+            if (currentSessionId) {
+                showReconnectOverlay('Reconnecting…');
+            }
         });
 
         WebSocketClient.on('error', () => {
             updateConnectionStatus('disconnected');
         });
 
+        WebSocketClient.on('reconnecting', (info) => {
+            updateConnectionStatus(info.offline ? 'offline' : 'reconnecting', info);
+        });
+
+        WebSocketClient.on('reconnectFailed', () => {
+            updateConnectionStatus('disconnected');
+            setReconnectText('Connection lost');
+        });
+
+        WebSocketClient.on('latency', updateConnectionQuality);
+
+        WebSocketClient.on('protocolError', handleProtocolError);
+
+        WebSocketClient.on('resumeFailed', handleResumeFailed);
+
         WebSocketClient.on('message', handleServerMessage);
+
+        // A missed delta leaves our copy of the state unreliable - fetch a fresh one
+        StateStore.on('gap', () => requestSnapshot(0));
+    }
+
+    /**
+     * Ask for a snapshot, retrying with backoff: the store holds back every delta until one arrives
+     */
+    function requestSnapshot(attempt) {
+        clearTimeout(snapshotRetryTimer);
+        snapshotRetryTimer = null;
+
+        WebSocketClient.requestSnapshot().catch((error) => {
+            // A resume snapshot may have ended the resync meanwhile
+            if (!StateStore.isResyncing()) return;
+
+            const delay = Math.min(SNAPSHOT_RETRY_MAX_DELAY, SNAPSHOT_RETRY_DELAY * Math.pow(2, attempt));
+            console.warn(`[Main] Snapshot request failed (${error.message}) - retrying in ${delay}ms`);
+            snapshotRetryTimer = setTimeout(() => {
+                if (StateStore.isResyncing()) requestSnapshot(attempt + 1);
+            }, delay);
+        });
     }
 
     // ==========================================
@@ -166,29 +324,66 @@
     // ==========================================
 
     function handleServerMessage(message) {
+        // Snapshots and deltas go through the store; handlers get the resulting state
+        let gameState = null;
+        if (StateStore.affectsState(message)) {
+            gameState = StateStore.ingest(message);
+            if (!gameState) return; // Stale, or held back until a resync completes
+            Replay.record(message, gameState);
+
+            // Custom boards travel with the state; register them before anything draws
+            if (gameState.customShape) ShapeImport.use(gameState.customShape);
+        }
+
+        Game.checkPrediction(message);
+
         switch (message.type) {
             case 'SESSION_CREATED':
-                handleSessionCreated(message);
+                handleSessionCreated(message, gameState);
                 break;
 
             case 'SESSION_JOINED':
-                handleSessionJoined(message);
+                handleSessionJoined(message, gameState);
                 break;
 
             case 'PLAYER_JOINED':
-                handlePlayerJoined(message);
+                handlePlayerJoined(message, gameState);
                 break;
 
             case 'PLAYER_LEFT':
-                handlePlayerLeft(message);
+                handlePlayerLeft(message, gameState);
+                break;
+
+            case 'PLAYER_DISCONNECTED':
+                handlePlayerConnectionChanged(message, gameState, false);
+                break;
+
+            case 'PLAYER_RECONNECTED':
+                handlePlayerConnectionChanged(message, gameState, true);
+                break;
+
+            case 'PONG':
+                if (typeof message.seq === 'number') StateStore.checkSeq(message.seq);
+                break;
+
+            case 'LATENCY_UPDATE':
+                handleLatencyUpdate(message);
+                break;
+
+            case 'SESSION_RESUMED':
+                handleSessionResumed(message, gameState);
+                break;
+
+            case 'STATE_SNAPSHOT':
+                handleStateSnapshot(gameState);
                 break;
 
             case 'GAME_STARTED':
-                handleGameStarted(message);
+                handleGameStarted(message, gameState);
                 break;
 
             case 'MAGNET_PLACED':
-                handleMagnetPlaced(message);
+                handleMagnetPlaced(message, gameState);
                 break;
 
             case 'PLACEMENT_INVALID':
@@ -196,15 +391,19 @@
                 break;
 
             case 'MAGNETS_CLUMPED':
-                handleMagnetsClumped(message);
+                handleMagnetsClumped(message, gameState);
                 break;
 
             case 'TURN_CHANGED':
-                handleTurnChanged(message);
+                handleTurnChanged(message, gameState);
+                break;
+
+            case 'BOARD_SHIFTED':
+                handleBoardShifted(message, gameState);
                 break;
 
             case 'GAME_OVER':
-                handleGameOver(message);
+                handleGameOver(message, gameState);
                 break;
 
             case 'ERROR':
@@ -213,166 +412,279 @@
         }
     }
 
-    function handleSessionCreated(message) {
+    function handleSessionCreated(message, gameState) {
         currentSessionId = message.sessionId;
         isHost = true; // Creator is the host
         
-        const myPlayer = message.gameState.players[0];
+        // Prefer the explicit playerId; older servers only imply it by list order
+        const myPlayer = gameState.players.find(p => p.id === message.playerId)
+            || gameState.players[0];
         if (myPlayer) {
             Game.setMyPlayerId(myPlayer.id);
         }
 
-        Game.updateState(message.gameState);
+        Game.updateState(gameState);
 
         elements.displaySessionCode.textContent = message.sessionId;
-        elements.displayShapeName.textContent = capitalizeFirst(message.gameState.shapeType);
-        updateWaitingRoom(message.gameState);
+        showShapeName(gameState.shapeType, gameState.shifting);
+        updateWaitingRoom(gameState);
         showScreen('waiting');
 
         Game.showMessage(`Session created: ${message.sessionId}`, 'success');
     }
 
-    function handleSessionJoined(message) {
-        currentSessionId = message.gameState.sessionId;
+    function handleSessionJoined(message, gameState) {
+        currentSessionId = gameState.sessionId;
 
-        const myPlayer = message.gameState.players[message.gameState.players.length - 1];
+        const myPlayer = gameState.players.find(p => p.id === message.playerId)
+            || gameState.players[gameState.players.length - 1];
         if (myPlayer) {
             Game.setMyPlayerId(myPlayer.id);
             // Check if we're the host
-            isHost = message.gameState.hostPlayerId === myPlayer.id;
+            isHost = gameState.hostPlayerId === myPlayer.id;
         }
 
-        Game.updateState(message.gameState);
+        Game.updateState(gameState);
 
-        if (message.gameState.status === 'playing') {
-            startGameScreen(message.gameState);
+        if (gameState.status === 'playing') {
+            startGameScreen(gameState);
         } else {
-            elements.displaySessionCode.textContent = message.gameState.sessionId;
-            elements.displayShapeName.textContent = capitalizeFirst(message.gameState.shapeType);
-            updateWaitingRoom(message.gameState);
+            elements.displaySessionCode.textContent = gameState.sessionId;
+            showShapeName(gameState.shapeType, gameState.shifting);
+            updateWaitingRoom(gameState);
             showScreen('waiting');
         }
 
         Game.showMessage('Joined session successfully!', 'success');
     }
 
-    function handlePlayerJoined(message) {
-        Game.updateState(message.gameState);
-        updateWaitingRoom(message.gameState);
+    function handlePlayerJoined(message, gameState) {
+        Game.queueEvent(message, gameState);
+        updateWaitingRoom(gameState);
         Game.showMessage(`${message.player.name} joined the game`, 'info');
 
-        if (message.gameState.status === 'playing') {
-            startGameScreen(message.gameState);
+        if (gameState.status === 'playing') {
+            startGameScreen(gameState);
         }
     }
 
-    function handlePlayerLeft(message) {
-        Game.updateState(message.gameState);
-        updateWaitingRoom(message.gameState);
+    function handlePlayerLeft(message, gameState) {
+        Game.queueEvent(message, gameState);
+        updateWaitingRoom(gameState);
         
-        const leftPlayer = message.gameState.players.find(p => p.id === message.playerId);
-        Game.showMessage(`${leftPlayer?.name || 'A player'} left the game`, 'warning');
+        const leftPlayer = gameState.players.find(p => p.id === message.playerId);
+        const leftName = leftPlayer?.name || message.playerName || 'A player';
+        Game.showMessage(`${leftName} left the game`, 'warning');
+    }
+
+    function handlePlayerConnectionChanged(message, gameState, connected) {
+        Game.queueEvent(message, gameState);
+        updateWaitingRoom(gameState);
+
+        const player = gameState.players.find(p => p.id === message.playerId);
+        const name = player?.name || 'A player';
+        if (connected) {
+            Game.showMessage(`${name} reconnected`, 'success');
+        } else {
+            Game.showMessage(`${name} lost connection`, 'warning');
+        }
+    }
+
+    /**
+     * Our seat was restored after a reconnect - rebuild the UI from the fresh snapshot
+     */
+    function handleSessionResumed(message, gameState) {
+        currentSessionId = gameState.sessionId;
+        isHost = gameState.hostPlayerId === message.playerId;
+        Game.setMyPlayerId(message.playerId);
+        hideReconnectOverlay();
+
+        if (gameState.status === 'waiting') {
+            Game.updateState(gameState);
+            elements.displaySessionCode.textContent = gameState.sessionId;
+            showShapeName(gameState.shapeType, gameState.shifting);
+            updateWaitingRoom(gameState);
+            showScreen('waiting');
+        } else {
+            Shapes.setActiveShape(gameState.shapeType);
+            elements.gameSessionCode.textContent = gameState.sessionId;
+            showScreen('game');
+            Game.updateState(gameState);
+            updateHeatmapToggle(gameState);
+        }
+
+        Game.showMessage('Reconnected - you are back in the game', 'success');
     }
 
-    function handleGameStarted(message) {
-        startGameScreen(message.gameState);
+    /**
+     * Latencies are shown in the waiting room too, where players decide whether to start
+     */
+    function handleLatencyUpdate(message) {
+        Game.setPlayerLatencies(message.latencies);
+
+        const gameState = StateStore.getState();
+        if (gameState && gameState.status === 'waiting') {
+            updateWaitingPlayersList(gameState.players);
+        }
+    }
+
+    /**
+     * Our seat could not be restored (RESUME_FAILED or any other rejection of the resume)
+     */
+    function handleResumeFailed({ reason }) {
+        hideReconnectOverlay();
+        resetToLobby();
+        alert(reason || 'Your game session could not be restored.');
+    }
+
+    function handleGameStarted(message, gameState) {
+        startGameScreen(gameState);
     }
 
     /**
      * Handle magnet placement with attraction animation
-     * The server sends movements array showing how magnets attracted to each other
+     * The server sends movements array showing how magnets attracted to each other;
+     * Game animates them once the events before this one have played
      */
-    function handleMagnetPlaced(message) {
-        const player = message.gameState.players.find(p => p.id === message.magnet.playerId);
-        
-        // If there are movements (attraction happened), animate them
-        if (message.movements && message.movements.length > 0) {
-            // First update state without the movements applied (show initial positions)
-            const stateBeforeMovement = JSON.parse(JSON.stringify(message.gameState));
-            
-            // Reset magnet positions to their "from" positions for animation
-            for (const movement of message.movements) {
-                const magnet = stateBeforeMovement.magnets.find(m => m.id === movement.magnetId);
-                if (magnet) {
-                    magnet.position = { ...movement.fromPosition };
-                }
-            }
-            
-            Game.updateState(stateBeforeMovement);
-            
+    function handleMagnetPlaced(message, gameState) {
+        const player = gameState.players.find(p => p.id === message.magnet.playerId);
+        const attracting = message.movements && message.movements.length > 0;
+
+        Game.queueEvent(message, gameState, () => {
             if (player && player.id !== Game.getMyPlayerId()) {
-                Game.showMessage(`${player.name} placed a magnet - magnets attracting!`, 'info');
-            } else if (player) {
+                Game.showMessage(attracting
+                    ? `${player.name} placed a magnet - magnets attracting!`
+                    : `${player.name} placed a magnet`, 'info');
+            } else if (player && attracting) {
                 Game.showMessage('Magnets are attracting!', 'info');
             }
-            
-            // Animate the movements
-            Game.animateMovements(message.movements, () => {
-                // After animation, update to final state
-                Game.updateState(message.gameState);
-            });
-        } else {
-            // No movements, just update state directly
-            Game.updateState(message.gameState);
-            
-            if (player && player.id !== Game.getMyPlayerId()) {
-                Game.showMessage(`${player.name} placed a magnet`, 'info');
-            }
-        }
+        });
     }
 
     /**
      * Handle magnets clumping - animate them flying to the collector
      */
-    function handleMagnetsClumped(message) {
-        const collector = message.gameState.players.find(p => p.id === message.collectorPlayerId);
+    function handleMagnetsClumped(message, gameState) {
+        const collector = gameState.players.find(p => p.id === message.collectorPlayerId);
         const isMe = message.collectorPlayerId === Game.getMyPlayerId();
-        
-        // Show message about clumping
-        if (isMe) {
-            Game.showMessage(`You collected ${message.magnetsCollected} magnets from clumping!`, 'warning');
-        } else if (collector) {
-            Game.showMessage(`${collector.name} collected ${message.magnetsCollected} magnets from clumping!`, 'warning');
-        }
-        
-        // Animate the clumped magnets flying away
-        Game.animateClumpCollection(message.clumpedMagnets, message.collectorPlayerId, () => {
-            // After animation, update to final state
-            Game.updateState(message.gameState);
+
+        // Animate the clumped magnets flying away, then tell who collected them
+        Game.queueEvent(message, gameState, () => {
+            if (isMe) {
+                Game.showMessage(`You collected ${message.magnetsCollected} magnets from clumping!`, 'warning');
+            } else if (collector) {
+                Game.showMessage(`${collector.name} collected ${message.magnetsCollected} magnets from clumping!`, 'warning');
+            }
         });
     }
 
-    function handlePlacementInvalid(message) {
-        Game.showMessage(message.reason, 'error');
-    }
+    /**
+     * Fresh snapshot after a missed delta - the messages we missed may have changed screens too
+     * (a start or the end of the game), so follow the status rather than the screen showing
+     */
+    function handleStateSnapshot(gameState) {
+        if (gameState.status === 'waiting') {
+            Game.updateState(gameState);
+            updateWaitingRoom(gameState);
+            return;
+        }
 
-    function handleTurnChanged(message) {
-        const gameState = Game.getState();
-        if (gameState) {
-            gameState.currentTurnPlayerId = message.currentTurnPlayerId;
+        if (elements.gameScreen.classList.contains('hidden')) {
+            startGameScreen(gameState);
+        } else {
             Game.updateState(gameState);
         }
 
-        if (message.currentTurnPlayerId === Game.getMyPlayerId()) {
-            Game.showMessage("It's your turn!", 'success');
+        if (gameState.status === 'finished' && elements.gameOverModal.classList.contains('hidden')) {
+            const winner = findWinner(gameState);
+            if (winner) showGameOver(winner.id, winner.name);
         }
     }
 
-    function handleGameOver(message) {
-        // Don't show modal if we've already left the game (returned to lobby)
-        if (!currentSessionId) return;
-        
-        const isWinner = message.winnerId === Game.getMyPlayerId();
-        
-        elements.winnerName.textContent = isWinner 
-            ? 'You Win! 🎉' 
-            : `${message.winnerName} Wins!`;
-        
+    /**
+     * The winner as the state tells it: whoever ran out of magnets, or the last player left
+     */
+    function findWinner(gameState) {
+        return gameState.players.find(p => p.remainingMagnets === 0)
+            || (gameState.players.length === 1 ? gameState.players[0] : null);
+    }
+
+    function handlePlacementInvalid(message) {
+        Game.showMessage(message.reason, 'error');
+    }
+
+    /**
+     * The turn passes once the animations before it have played
+     */
+    function handleTurnChanged(message, gameState) {
+        Game.queueEvent(message, gameState, () => {
+            if (message.currentTurnPlayerId === Game.getMyPlayerId()) {
+                Game.showMessage("It's your turn!", 'success');
+            }
+        });
+    }
+
+    /**
+     * Turn or shrink the board on screen, then point out magnets it left behind
+     */
+    function handleBoardShifted(message, gameState) {
+        const to = message.boardTransform;
+        const stranded = gameState.magnets.filter(m => !Shapes.contains(gameState.shapeType, m.position.x, m.position.y, to)).length;
+        const change = gameState.shifting && gameState.shifting.mode === 'shrink' ? 'The board shrank!' : 'The board turned!';
+
+        Game.queueEvent(message, gameState, () => {
+            Game.showMessage(stranded > 0
+                ? `${change} ${stranded} magnet${stranded > 1 ? 's are' : ' is'} now off the board`
+                : change, 'warning');
+        });
+    }
+
+    /**
+     * The result is shown after the last moves have played out
+     */
+    function handleGameOver(message, gameState) {
+        Game.queueEvent(message, gameState, () => {
+            // Don't show modal if we've already left the game (returned to lobby)
+            if (!currentSessionId) return;
+
+            showGameOver(message.winnerId, message.winnerName);
+        });
+    }
+
+    function showGameOver(winnerId, winnerName) {
+        const isWinner = winnerId === Game.getMyPlayerId();
+
+        elements.winnerName.textContent = isWinner
+            ? 'You Win! 🎉'
+            : `${winnerName} Wins!`;
+
+        elements.downloadReplayBtn.classList.toggle('hidden', !Replay.hasRecording());
         elements.gameOverModal.classList.remove('hidden');
     }
 
+    /**
+     * In-game errors are toasts; the lobby and waiting room have no message area, so they alert
+     */
     function handleError(message) {
-        Game.showMessage(message.message, 'error');
+        if (elements.gameScreen.classList.contains('hidden')) {
+            alert(message.message);
+        } else {
+            Game.showMessage(message.message, 'error');
+        }
+    }
+
+    /**
+     * Malformed server data or an incompatible server version
+     */
+    function handleProtocolError(error) {
+        console.error('[Protocol]', error.message, error.details);
+
+        if (error.fatal) {
+            updateConnectionStatus('incompatible');
+            alert(error.message);
+        } else {
+            Game.showMessage(error.message, 'error');
+        }
     }
 
     // ==========================================
@@ -380,6 +692,8 @@
     // ==========================================
 
     function handleCreateGame() {
+        if (elements.createGameBtn.disabled) return; // Request already in flight
+
         const playerName = elements.playerNameInput.value.trim();
 
         if (!playerName) {
@@ -388,10 +702,42 @@
             return;
         }
 
-        WebSocketClient.createSession(playerName, selectedShape);
+        if (!isShapeAvailable(Shapes.get(selectedShape))) {
+            alert('This server does not know the selected board. Please pick another shape.');
+            renderShapeButtons();
+            return;
+        }
+
+        let customShape = null;
+        if (selectedShape === ShapeImport.CUSTOM_SHAPE_ID) {
+            if (!WebSocketClient.getServerFeatures().includes('customShapes')) {
+                alert('This server does not support custom shapes. Please pick another shape.');
+                return;
+            }
+            customShape = ShapeImport.getCustomShape();
+        }
+
+        let shifting = null;
+        if (elements.boardShiftMode.value) {
+            if (!WebSocketClient.getServerFeatures().includes('shiftingBoards')) {
+                alert('This server does not support shifting boards. Please pick a fixed board.');
+                return;
+            }
+            shifting = { mode: elements.boardShiftMode.value, every: Number(elements.boardShiftEvery.value) };
+        }
+
+        const allowHeatmap = elements.allowHeatmapInput.checked;
+        if (!allowHeatmap && !WebSocketClient.getServerFeatures().includes('heatmapSetting')) {
+            alert('This server cannot turn the heatmap off. Please allow it or use another server.');
+            return;
+        }
+
+        trackRequest(elements.createGameBtn, WebSocketClient.createSession(playerName, selectedShape, { customShape, shifting, allowHeatmap }));
     }
 
     function handleJoinGame() {
+        if (elements.joinGameBtn.disabled) return; // Request already in flight
+
         const playerName = elements.playerNameInput.value.trim();
         const sessionCode = elements.sessionCodeInput.value.trim();
 
@@ -407,7 +753,7 @@
             return;
         }
 
-        WebSocketClient.joinSession(sessionCode, playerName);
+        trackRequest(elements.joinGameBtn, WebSocketClient.joinSession(sessionCode, playerName));
     }
 
     function handleCopyCode() {
@@ -432,10 +778,36 @@
     }
 
     function handleStartGame() {
-        WebSocketClient.startGame();
+        trackRequest(elements.startGameBtn, WebSocketClient.startGame());
+    }
+
+    /**
+     * Show a spinner on the button and keep it disabled until the server answers
+     * @param {HTMLButtonElement} button - Button that triggered the request
+     * @param {Promise} promise - Pending request from WebSocketClient
+     */
+    function trackRequest(button, promise) {
+        button.disabled = true;
+        button.classList.add('loading');
+
+        return promise
+            .catch((error) => {
+                if (!REPORTED_ERROR_CODES.includes(error.code)) {
+                    alert(error.message);
+                }
+            })
+            .finally(() => {
+                button.disabled = false;
+                button.classList.remove('loading');
+            });
     }
 
     function handleLeaveSession() {
+        if (Replay.isActive()) {
+            exitReplay();
+            return;
+        }
+
         // Clear session ID first to prevent any incoming messages from triggering UI updates
         currentSessionId = null;
         elements.gameOverModal.classList.add('hidden');
@@ -451,6 +823,90 @@
         resetToLobby();
     }
 
+    // ==========================================
+    // CUSTOM SHAPES
+    // ==========================================
+
+    function handleCustomPath() {
+        try {
+            applyCustomShape(ShapeImport.fromPathData(elements.customPathInput.value));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    function handleCustomSvgFile() {
+        const file = elements.customSvgInput.files[0];
+        elements.customSvgInput.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        const name = file.name.replace(/\.svg$/i, '');
+        file.text()
+            .then((text) => applyCustomShape(ShapeImport.fromSvg(text, name)))
+            .catch((error) => alert(error.message));
+    }
+
+    /**
+     * Register an imported shape, select it and show it on a miniature board
+     */
+    function applyCustomShape(customShape) {
+        selectedShape = ShapeImport.use(customShape);
+        renderShapeButtons();
+
+        const canvas = elements.customShapePreview;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.scale(canvas.width / Shapes.CANVAS_WIDTH, canvas.height / Shapes.CANVAS_HEIGHT);
+        Shapes.drawShape(ctx, selectedShape);
+        canvas.classList.remove('hidden');
+    }
+
+    /**
+     * Select the generated board for a seed; it joins the shape buttons until another is picked
+     */
+    function selectRandomBoard(seed) {
+        selectedShape = BoardGenerator.idForSeed(seed);
+        renderShapeButtons();
+    }
+
+    // ==========================================
+    // REPLAY VIEWER
+    // ==========================================
+
+    function handleReplayFile() {
+        const file = elements.replayFileInput.files[0];
+        elements.replayFileInput.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        file.text()
+            .then((text) => startReplay(Replay.parse(text)))
+            .catch((error) => alert(error.message));
+    }
+
+    /**
+     * The replay viewer is the game screen in read-only mode with playback controls
+     */
+    function startReplay(replay) {
+        Game.reset();
+        Shapes.setActiveShape(replay.shapeType);
+        elements.gameSessionCode.textContent = replay.sessionId;
+        elements.gameScreenLabel.textContent = 'Replay:';
+        elements.leaveGameBtn.textContent = 'Exit Replay';
+        elements.gameScreen.classList.add('replay-mode');
+        showScreen('game');
+
+        Replay.start(replay);
+    }
+
+    function exitReplay() {
+        Replay.stop();
+        elements.gameScreenLabel.textContent = 'Session:';
+        elements.leaveGameBtn.textContent = 'Leave Game';
+        elements.gameScreen.classList.remove('replay-mode');
+        resetToLobby();
+    }
+
     // ==========================================
     // SCREEN MANAGEMENT
     // ==========================================
@@ -459,6 +915,7 @@
         elements.lobbyScreen.classList.add('hidden');
         elements.waitingScreen.classList.add('hidden');
         elements.gameScreen.classList.add('hidden');
+        elements.editorScreen.classList.add('hidden');
 
         switch (screen) {
             case 'lobby':
@@ -470,21 +927,49 @@
             case 'game':
                 elements.gameScreen.classList.remove('hidden');
                 break;
+            case 'editor':
+                elements.editorScreen.classList.remove('hidden');
+                break;
         }
     }
 
     function startGameScreen(gameState) {
-        Shapes.generateMask(gameState.shapeType);
+        Shapes.setActiveShape(gameState.shapeType);
         elements.gameSessionCode.textContent = gameState.sessionId;
         showScreen('game');
         Game.updateState(gameState);
-        Game.showMessage('Game started! Place magnets carefully - they attract each other!', 'success');
+        updateHeatmapToggle(gameState);
+        if (gameState.status === 'playing') {
+            Game.showMessage('Game started! Place magnets carefully - they attract each other!', 'success');
+        }
+    }
+
+    /**
+     * The heatmap button is offered unless the host turned the heatmap off
+     */
+    function updateHeatmapToggle(gameState) {
+        const allowed = gameState.allowHeatmap !== false;
+        elements.heatmapToggleBtn.classList.toggle('hidden', !allowed);
+        if (!allowed) setHeatmapVisible(false);
+    }
+
+    function setHeatmapVisible(visible) {
+        Game.setHeatmapVisible(visible);
+        Game.refreshHeatmap(StateStore.getState());
+        elements.heatmapToggleBtn.classList.toggle('active', visible);
+        elements.heatmapToggleBtn.setAttribute('aria-pressed', String(visible));
     }
 
     function resetToLobby() {
         currentSessionId = null;
+        clearTimeout(snapshotRetryTimer);
+        snapshotRetryTimer = null;
+        StateStore.reset();
+        hideReconnectOverlay();
         isHost = false;
         Game.reset();
+        setHeatmapVisible(false);
+        elements.heatmapToggleBtn.classList.add('hidden');
         elements.sessionCodeInput.value = '';
         elements.gameOverModal.classList.add('hidden');
         showScreen('lobby');
@@ -527,13 +1012,34 @@
         }
     }
 
+    function showReconnectOverlay(text) {
+        elements.reconnectMessage.textContent = text;
+        elements.reconnectOverlay.classList.remove('hidden');
+    }
+
+    function setReconnectText(text) {
+        elements.reconnectMessage.textContent = text;
+    }
+
+    function hideReconnectOverlay() {
+        elements.reconnectOverlay.classList.add('hidden');
+    }
+
     // ==========================================
     // HELPER FUNCTIONS
     // ==========================================
 
-    function updateConnectionStatus(status) {
+    /**
+     * Update the header connection badge
+     * @param {string} status - connected, disconnected, reconnecting, offline, incompatible or connecting
+     * @param {{retryAt?: number}} info - Reconnect details from WebSocketClient
+     */
+    function updateConnectionStatus(status, info = {}) {
+        stopReconnectCountdown();
         elements.connectionStatus.className = 'connection-status ' + status;
         const statusText = elements.connectionStatus.querySelector('.status-text');
+        const canRetry = status === 'disconnected' || status === 'reconnecting' || status === 'offline';
+        elements.retryNowBtn.classList.toggle('hidden', !canRetry);
         
         switch (status) {
             case 'connected':
@@ -542,16 +1048,177 @@
             case 'disconnected':
                 statusText.textContent = 'Disconnected';
                 break;
+            case 'incompatible':
+                statusText.textContent = 'Incompatible server';
+                break;
+            case 'legacy':
+                statusText.textContent = 'Connected (older server)';
+                break;
+            case 'offline':
+                statusText.textContent = 'Offline - waiting for network';
+                setReconnectText('You are offline - waiting for network…');
+                break;
+            case 'reconnecting':
+                startReconnectCountdown(statusText, info.retryAt);
+                break;
             default:
                 statusText.textContent = 'Connecting...';
         }
     }
 
+    /**
+     * Show the connection-quality meter next to the status badge
+     * @param {{rtt: number, jitter: number, quality: string}|null} stats - From WebSocketClient, null when offline
+     */
+    function updateConnectionQuality(stats) {
+        const meter = elements.connectionQuality;
+
+        if (!stats || stats.rtt === null) {
+            meter.className = 'connection-quality hidden';
+            return;
+        }
+
+        meter.className = `connection-quality ${stats.quality}`;
+        meter.title = `Latency ${stats.rtt} ms, jitter ${stats.jitter} ms`;
+        elements.connectionLatency.textContent = `${stats.rtt} ms`;
+    }
+
+    /**
+     * Tick a visible countdown to the next reconnect attempt
+     */
+    function startReconnectCountdown(statusText, retryAt) {
+        const tick = () => {
+            const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+            const text = seconds > 0 ? `Reconnecting in ${seconds}s` : 'Reconnecting...';
+            statusText.textContent = text;
+            setReconnectText(text);
+        };
+
+        tick();
+        reconnectCountdownTimer = setInterval(tick, 250);
+    }
+
+    function stopReconnectCountdown() {
+        if (reconnectCountdownTimer) {
+            clearInterval(reconnectCountdownTimer);
+            reconnectCountdownTimer = null;
+        }
+    }
+
+    /**
+     * Build the lobby shape picker from the shape registry
+     */
+    function renderShapeButtons() {
+        if (!Shapes.has(selectedShape) || !isShapeAvailable(Shapes.get(selectedShape))) {
+            selectedShape = Shapes.list()[0].id;
+        }
+
+        // Measuring every board takes a while: only the selected one (possibly generated or
+        // custom) is measured now, the others in idle time, filling in their badges as they finish
+        Shapes.getMetrics(selectedShape);
+        const difficultyOf = (shape) => {
+            const metrics = Shapes.peekMetrics(shape.id);
+            return metrics ? metrics.difficulty : null;
+        };
+
+        // The selected shape stays visible even when filtered out; generated boards are never listed
+        // Boards not measured yet stay in until they are
+        const level = Number(elements.shapeDifficultyFilter.value);
+        let shapes = Shapes.list().filter(isShapeAvailable).filter(shape => !level
+            || shape.id === selectedShape
+            || difficultyOf(shape) === null
+            || difficultyOf(shape) === level);
+        if (!shapes.some(shape => shape.id === selectedShape)) {
+            shapes.push(Shapes.get(selectedShape));
+        }
+
+        // Boards not measured yet go last
+        const order = elements.shapeSortSelect.value;
+        if (order) {
+            const direction = order === 'hardest' ? -1 : 1;
+            const rank = (shape) => difficultyOf(shape) === null ? Infinity : direction * difficultyOf(shape);
+            shapes = shapes.sort((a, b) => rank(a) - rank(b));
+        }
+
+        elements.shapeButtons.innerHTML = '';
+        for (const shape of shapes) {
+            const button = document.createElement('button');
+            button.className = 'shape-btn' + (shape.id === selectedShape ? ' active' : '');
+            button.dataset.shape = shape.id;
+            button.innerHTML = Shapes.createIcon(shape.id) + '<span class="shape-difficulty">…</span>';
+            showShapeMetrics(button, shape);
+            elements.shapeButtons.appendChild(button);
+        }
+
+        scheduleShapeMetrics();
+    }
+
+    /**
+     * Fill in the difficulty badge and tooltip of a shape button, once the shape was measured
+     */
+    function showShapeMetrics(button, shape) {
+        const metrics = Shapes.peekMetrics(shape.id);
+        if (!metrics) {
+            button.title = shape.name;
+            return;
+        }
+
+        button.title = `${shape.name} - ${metrics.difficultyLabel}\n`
+            + `Room for about ${metrics.capacity} magnets, narrowest passage ${metrics.narrowestWidth}px`;
+        const badge = button.querySelector('.shape-difficulty');
+        badge.dataset.level = metrics.difficulty;
+        badge.textContent = metrics.difficulty;
+    }
+
+    /**
+     * Measure the next unmeasured board when the browser is idle, one board per callback
+     */
+    function scheduleShapeMetrics() {
+        if (metricsPending) return;
+        metricsPending = true;
+
+        const whenIdle = window.requestIdleCallback || ((callback) => setTimeout(callback, 0));
+        whenIdle(() => {
+            metricsPending = false;
+
+            const shape = Shapes.list().find(s => isShapeAvailable(s) && !Shapes.peekMetrics(s.id));
+            if (!shape) return;
+
+            Shapes.getMetrics(shape.id);
+            for (const button of elements.shapeButtons.querySelectorAll('.shape-btn')) {
+                if (button.dataset.shape === shape.id) showShapeMetrics(button, shape);
+            }
+
+            const remaining = Shapes.list().some(s => isShapeAvailable(s) && !Shapes.peekMetrics(s.id));
+            if (remaining) {
+                scheduleShapeMetrics();
+            } else if (elements.shapeDifficultyFilter.value || elements.shapeSortSelect.value) {
+                renderShapeButtons(); // Filter and order can take every board into account now
+            }
+        });
+    }
+
+    /**
+     * Boards that need a server feature are only offered when the server has it
+     */
+    function isShapeAvailable(shape) {
+        return !shape.feature || WebSocketClient.getServerFeatures().includes(shape.feature);
+    }
+
+    function renderDifficultyOptions() {
+        Shapes.DIFFICULTY_LABELS.forEach((label, index) => {
+            const option = document.createElement('option');
+            option.value = index + 1;
+            option.textContent = `${index + 1} - ${label}`;
+            elements.shapeDifficultyFilter.appendChild(option);
+        });
+    }
+
     function updateWaitingPlayersList(players) {
         elements.waitingPlayersList.innerHTML = '';
 
         players.forEach((player, index) => {
-            const color = Game.PLAYER_COLORS[index % Game.PLAYER_COLORS.length];
+            const color = Game.getPlayerColor(index);
             const isMe = player.id === Game.getMyPlayerId();
 
             const playerEl = document.createElement('div');
@@ -564,7 +1231,7 @@
                         ${escapeHtml(player.name)}
                         ${isMe ? '<span class="you-badge">(You)</span>' : ''}
                     </div>
-                    <div class="player-magnets">Ready to play</div>
+                    <div class="player-magnets">Ready to play ${Game.formatLatency(player.id)}</div>
                 </div>
             `;
 
@@ -572,8 +1239,26 @@
         });
     }
 
-    function capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+    /**
+     * Waiting room shape label with its difficulty; random boards also show their seed so they can be played again
+     */
+    function showShapeName(shapeType, shifting) {
+        const seed = BoardGenerator.getSeed(shapeType);
+        const metrics = Shapes.getMetrics(shapeType);
+        elements.displayShapeName.textContent = metrics
+            ? `${getShapeName(shapeType)} · ${metrics.difficultyLabel}`
+            : getShapeName(shapeType);
+        elements.displayBoardSeed.textContent = seed === null ? '' : `Seed ${seed}`;
+        elements.displayBoardSeed.classList.toggle('hidden', seed === null);
+        elements.displayBoardShift.textContent = shifting
+            ? `${shifting.mode === 'rotate' ? 'Rotates' : 'Shrinks'} every ${shifting.every} turns`
+            : '';
+        elements.displayBoardShift.classList.toggle('hidden', !shifting);
+    }
+
+    function getShapeName(shapeType) {
+        const shape = Shapes.get(shapeType);
+        return shape ? shape.name : shapeType;
     }
 
     function escapeHtml(text) {
@@ -0,0 +1,119 @@
+/**
+ * ==========================================
+ * PHYSICS MODULE
+ * ==========================================
+ * Magnetic attraction and clumping rules
+ * Shared by the local game engine so it behaves like the hosted server
+ */
+
+const Physics = (function() {
+    // ==========================================
+    // CONFIGURATION (same constants as game.js)
+    // ==========================================
+    const { MAGNET_RADIUS, CLUMP_THRESHOLD, ATTRACTION_RANGE } = Game;
+    const CONTACT_DISTANCE = MAGNET_RADIUS * 2; // Magnets can't overlap
+    const ATTRACTION_STRENGTH = 1.2;            // Fraction of the gap closed at point-blank range
+
+    const clumpGrid = Spatial.createGrid(CLUMP_THRESHOLD);
+
+    // ==========================================
+    // SIMULATION
+    // ==========================================
+
+    /**
+     * Simulate dropping a new magnet among the existing ones
+     * Magnets within ATTRACTION_RANGE are pulled toward the new magnet
+     * (inverse-square falloff), then every group of magnets closer than
+     * CLUMP_THRESHOLD to each other that the new or a moved magnet belongs to
+     * is reported as clumped.
+     * @param {Array} magnets - Existing magnets ({ id, position })
+     * @param {{x: number, y: number}} position - Where the new magnet lands
+     * @param {string} newMagnetId - ID to use for the new magnet in clump results
+     * @returns {{movements: Array, clumpedIds: Array<string>}}
+     */
+    function simulatePlacement(magnets, position, newMagnetId = 'new') {
+        const movements = [];
+        const finalPositions = new Map();
+
+        for (const magnet of magnets) {
+            const dx = position.x - magnet.position.x;
+            const dy = position.y - magnet.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            let finalPosition = magnet.position;
+
+            if (distance > 0 && distance < ATTRACTION_RANGE) {
+                const falloff = 1 - distance / ATTRACTION_RANGE;
+                const pull = Math.min(1, falloff * falloff * ATTRACTION_STRENGTH);
+                const newDistance = Math.max(CONTACT_DISTANCE, distance * (1 - pull));
+
+                if (newDistance < distance) {
+                    finalPosition = {
+                        x: round(position.x - dx / distance * newDistance),
+                        y: round(position.y - dy / distance * newDistance),
+                    };
+                    movements.push({
+                        magnetId: magnet.id,
+                        fromPosition: { ...magnet.position },
+                        toPosition: finalPosition,
+                    });
+                }
+            }
+
+            finalPositions.set(magnet.id, finalPosition);
+        }
+
+        finalPositions.set(newMagnetId, position);
+
+        return {
+            movements,
+            clumpedIds: findClumps(finalPositions, [newMagnetId, ...movements.map(m => m.magnetId)]),
+        };
+    }
+
+    /**
+     * Find the magnets that touch at least one other magnet
+     * @param {Map<string, {x: number, y: number}>} positions - Magnet ID to position
+     * @param {Array<string>} [seedIds] - Only report clumps containing one of these magnets (default: every clump)
+     * @returns {Array<string>} IDs of clumped magnets
+     */
+    function findClumps(positions, seedIds = null) {
+        const touching = new Map(); // id -> ids of the magnets it touches
+
+        clumpGrid.build(positions.keys(), id => positions.get(id));
+        clumpGrid.forEachPair(CLUMP_THRESHOLD, (idA, idB) => {
+            if (!touching.has(idA)) touching.set(idA, []);
+            if (!touching.has(idB)) touching.set(idB, []);
+            touching.get(idA).push(idB);
+            touching.get(idB).push(idA);
+        });
+
+        // Walk out from the seeds through touching magnets
+        const clumped = new Set(seedIds ? [] : touching.keys());
+        const queue = seedIds ? seedIds.filter(id => touching.has(id)) : [];
+        for (const id of queue) clumped.add(id);
+        while (queue.length > 0) {
+            for (const other of touching.get(queue.pop())) {
+                if (clumped.has(other)) continue;
+                clumped.add(other);
+                queue.push(other);
+            }
+        }
+
+        // Keep the order of the input, whatever order the grid found the pairs in
+        return Array.from(positions.keys()).filter(id => clumped.has(id));
+    }
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        simulatePlacement,
+        findClumps,
+        CONTACT_DISTANCE,
+    };
+})();
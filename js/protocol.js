@@ -0,0 +1,304 @@
+/**
+ * ==========================================
+ * PROTOCOL MODULE
+ * ==========================================
+ * Declarative schema for every message exchanged with the game server
+ * WebSocketClient validates traffic against it in both directions
+ *
+ * Field specs:
+ *   'string' | 'number' | 'boolean' | 'object' | 'any'  - primitive checks
+ *   'position' | 'player' | ...                         - named types below
+ *   'type?'                                             - optional (may be missing or null)
+ *   ['type']                                            - array of type
+ *   ['type?']                                           - optional array of type
+ *   { enum: [...] }                                     - one of the listed values
+ */
+
+const Protocol = (function() {
+    // ==========================================
+    // VERSION
+    // ==========================================
+    // Bump when a change breaks compatibility; additive changes go through features
+    const VERSION = 1;
+
+    // Optional capabilities a server may advertise in WELCOME
+    const FEATURES = ['heartbeat', 'resume', 'deltas', 'customShapes', 'shiftingBoards', 'heatmapSetting', 'zonedBoards', 'randomBoards'];
+
+    // Capabilities the client opts into in HELLO (the server only uses them if asked)
+    const CLIENT_FEATURES = ['deltas'];
+
+    // ==========================================
+    // SHARED TYPES
+    // ==========================================
+    const TYPES = {
+        position: {
+            x: 'number',
+            y: 'number',
+        },
+        player: {
+            id: 'string',
+            name: 'string',
+            remainingMagnets: 'number',
+            connected: 'boolean?',
+        },
+        magnet: {
+            id: 'string',
+            playerId: 'string',
+            position: 'position',
+        },
+        movement: {
+            magnetId: 'string',
+            fromPosition: 'position',
+            toPosition: 'position',
+        },
+        customShape: {
+            name: 'string',
+            primitives: ['object'],
+        },
+        shifting: {
+            mode: { enum: ['rotate', 'shrink'] },
+            every: 'number',         // Turns between shifts
+        },
+        boardTransform: {
+            rotation: 'number',      // Degrees clockwise around the board center
+            scale: 'number',
+        },
+        gameState: {
+            sessionId: 'string',
+            shapeType: 'string',
+            customShape: 'customShape?',
+            shifting: 'shifting?',
+            boardTransform: 'boardTransform?',
+            allowHeatmap: 'boolean?',
+            status: { enum: ['waiting', 'playing', 'finished'] },
+            hostPlayerId: 'string?',
+            currentTurnPlayerId: 'string?',
+            players: ['player'],
+            magnets: ['magnet'],
+        },
+        playerPatch: {
+            id: 'string',
+            name: 'string?',
+            remainingMagnets: 'number?',
+            connected: 'boolean?',
+        },
+    };
+
+    // ==========================================
+    // DELTA CHANGES
+    // ==========================================
+    // Operations carried in a message's changes array (see StateStore)
+    const CHANGE_OPS = {
+        magnetAdded: { magnet: 'magnet' },
+        magnetsMoved: { movements: ['movement'] },
+        magnetsRemoved: { magnetIds: ['string'] },
+        turnChanged: { currentTurnPlayerId: 'string?' },
+        playerAdded: { player: 'player' },
+        playerRemoved: { playerId: 'string' },
+        playerUpdated: { player: 'playerPatch' },
+        sessionUpdated: { fields: 'object' },
+    };
+
+    // ==========================================
+    // MESSAGES
+    // ==========================================
+    // Every message may also carry type and requestId
+    // State-changing messages carry either a full gameState or seq + changes (deltas)
+    const INBOUND = {
+        WELCOME: { protocolVersion: 'number', features: ['string?'] },
+        SESSION_CREATED: { sessionId: 'string', playerId: 'string?', rejoinToken: 'string?', seq: 'number?', gameState: 'gameState' },
+        SESSION_JOINED: { playerId: 'string?', rejoinToken: 'string?', seq: 'number?', gameState: 'gameState' },
+        SESSION_RESUMED: { sessionId: 'string', playerId: 'string', rejoinToken: 'string?', seq: 'number?', gameState: 'gameState' },
+        STATE_SNAPSHOT: { seq: 'number?', gameState: 'gameState' },
+        RESUME_FAILED: { reason: 'string?' },
+        PLAYER_JOINED: { player: 'player', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        PLAYER_LEFT: { playerId: 'string', playerName: 'string?', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        PLAYER_DISCONNECTED: { playerId: 'string', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        PLAYER_RECONNECTED: { playerId: 'string', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        GAME_STARTED: { seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        MAGNET_PLACED: { magnet: 'magnet', movements: ['movement?'], seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        PLACEMENT_INVALID: { reason: 'string' },
+        MAGNETS_CLUMPED: {
+            collectorPlayerId: 'string',
+            magnetsCollected: 'number',
+            clumpedMagnets: ['magnet'],
+            seq: 'number?',
+            gameState: 'gameState?',
+            changes: ['change?'],
+        },
+        TURN_CHANGED: { currentTurnPlayerId: 'string', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        BOARD_SHIFTED: { boardTransform: 'boardTransform', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        GAME_OVER: { winnerId: 'string', winnerName: 'string', seq: 'number?', gameState: 'gameState?', changes: ['change?'] },
+        LATENCY_UPDATE: { latencies: 'object' },
+        PONG: { pingId: 'number', seq: 'number?' },
+        ERROR: { message: 'string' },
+    };
+
+    // Messages that must carry a gameState snapshot or a changes list
+    const STATE_MESSAGES = [
+        'PLAYER_JOINED', 'PLAYER_LEFT', 'PLAYER_DISCONNECTED', 'PLAYER_RECONNECTED',
+        'GAME_STARTED', 'MAGNET_PLACED', 'MAGNETS_CLUMPED', 'BOARD_SHIFTED',
+    ];
+
+    const OUTBOUND = {
+        HELLO: { protocolVersion: 'number', client: 'string?', features: ['string?'] },
+        CREATE_SESSION: { playerName: 'string', shapeType: 'string', customShape: 'customShape?', shifting: 'shifting?', allowHeatmap: 'boolean?' },
+        JOIN_SESSION: { sessionId: 'string', playerName: 'string' },
+        RESUME_SESSION: { sessionId: 'string', playerId: 'string', rejoinToken: 'string' },
+        START_GAME: {},
+        PLACE_MAGNET: { position: 'position' },
+        LEAVE_SESSION: {},
+        PING: { pingId: 'number', latency: 'number?' },
+        REQUEST_SNAPSHOT: {},
+    };
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Validate a message against the schema
+     * Unknown extra fields are allowed so servers can add data without breaking clients
+     * @param {string} direction - 'inbound' (server to client) or 'outbound'
+     * @param {Object} message - Parsed message
+     * @returns {Array<string>} Problems found, empty when valid
+     */
+    function validate(direction, message) {
+        if (!isObject(message)) {
+            return ['message: expected object'];
+        }
+        if (typeof message.type !== 'string') {
+            return ['type: expected string'];
+        }
+
+        const schemas = direction === 'inbound' ? INBOUND : OUTBOUND;
+        const schema = schemas[message.type];
+        if (!schema) {
+            return [`${message.type}: unknown ${direction} message type`];
+        }
+
+        const errors = [];
+        checkValue(message.requestId, 'string?', `${message.type}.requestId`, errors);
+        checkFields(message, schema, message.type, errors);
+
+        if (direction === 'inbound' && STATE_MESSAGES.includes(message.type) && !message.gameState && !message.changes) {
+            errors.push(`${message.type}: expected gameState or changes`);
+        }
+        if (message.changes && typeof message.seq !== 'number') {
+            errors.push(`${message.type}.seq: required with changes`);
+        }
+
+        return errors;
+    }
+
+    function checkFields(value, fields, path, errors) {
+        for (const [name, spec] of Object.entries(fields)) {
+            checkValue(value[name], spec, `${path}.${name}`, errors);
+        }
+    }
+
+    function checkValue(value, spec, path, errors) {
+        if (Array.isArray(spec)) {
+            if (!Array.isArray(value)) {
+                if (isOptional(spec[0]) && value == null) return;
+                errors.push(`${path}: expected array, got ${describe(value)}`);
+                return;
+            }
+            const itemSpec = stripOptional(spec[0]);
+            value.forEach((item, index) => checkValue(item, itemSpec, `${path}[${index}]`, errors));
+            return;
+        }
+
+        if (typeof spec === 'object') {
+            if (!spec.enum.includes(value)) {
+                errors.push(`${path}: expected one of ${spec.enum.join(', ')}, got ${JSON.stringify(value)}`);
+            }
+            return;
+        }
+
+        if (isOptional(spec) && value == null) return;
+        const type = stripOptional(spec);
+
+        if (type === 'change') {
+            checkChange(value, path, errors);
+            return;
+        }
+
+        if (TYPES[type]) {
+            if (!isObject(value)) {
+                errors.push(`${path}: expected ${type}, got ${describe(value)}`);
+                return;
+            }
+            checkFields(value, TYPES[type], path, errors);
+            return;
+        }
+
+        const valid = {
+            string: typeof value === 'string',
+            number: typeof value === 'number' && Number.isFinite(value),
+            boolean: typeof value === 'boolean',
+            object: isObject(value),
+            any: value !== undefined,
+        }[type];
+
+        if (!valid) {
+            errors.push(`${path}: expected ${type}, got ${describe(value)}`);
+        }
+    }
+
+    function checkChange(value, path, errors) {
+        if (!isObject(value) || !CHANGE_OPS[value.op]) {
+            errors.push(`${path}.op: expected one of ${Object.keys(CHANGE_OPS).join(', ')}`);
+            return;
+        }
+        checkFields(value, CHANGE_OPS[value.op], path, errors);
+    }
+
+    function isOptional(spec) {
+        return typeof spec === 'string' && spec.endsWith('?');
+    }
+
+    function stripOptional(spec) {
+        return isOptional(spec) ? spec.slice(0, -1) : spec;
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function describe(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    // ==========================================
+    // VERSION NEGOTIATION
+    // ==========================================
+
+    /**
+     * Check a server's WELCOME against what this client speaks
+     * @returns {string|null} Why the server is incompatible, or null if it is fine
+     */
+    function checkCompatibility(welcome) {
+        if (welcome.protocolVersion !== VERSION) {
+            return `Server speaks protocol v${welcome.protocolVersion}, this client needs v${VERSION}`;
+        }
+        return null;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        VERSION,
+        FEATURES,
+        CLIENT_FEATURES,
+        validate,
+        checkCompatibility,
+        messageTypes: {
+            inbound: Object.keys(INBOUND),
+            outbound: Object.keys(OUTBOUND),
+        },
+    };
+})();
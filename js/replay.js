@@ -0,0 +1,354 @@
+/**
+ * ==========================================
+ * REPLAY MODULE
+ * ==========================================
+ * Records the server messages of a game and plays recordings back
+ * through the regular Game rendering and animation pipeline
+ *
+ * Replay file:
+ *   { format, version, recordedAt, sessionId, shapeType, myPlayerId,
+ *     initialState, events: [{ t, message, state }] }
+ * Each event keeps the state after it was applied, so any point can be shown directly
+ */
+
+const Replay = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const FORMAT = 'magnet-shapes-replay';
+    const FORMAT_VERSION = 1;
+    const SPEEDS = [0.5, 1, 2, 4];
+    const MIN_EVENT_GAP = 250;   // ms - keep back-to-back events readable
+    const MAX_EVENT_GAP = 2500;  // ms - skip long thinking pauses
+
+    // ==========================================
+    // RECORDING
+    // ==========================================
+    let recording = null; // Replay file being built for the current game
+
+    /**
+     * Record a state-changing server message
+     * Starts with GAME_STARTED (or joining a game in progress) and stops after GAME_OVER
+     * @param {Object} message - Server message
+     * @param {Object} gameState - State after the message was applied
+     */
+    function record(message, gameState) {
+        if (!gameState) return;
+
+        const inProgress = recording && !recording.finished && recording.sessionId === gameState.sessionId;
+
+        if (message.type === 'GAME_STARTED' || (!inProgress && gameState.status === 'playing')) {
+            startRecording(gameState);
+            return;
+        }
+
+        if (!recording || recording.finished || recording.sessionId !== gameState.sessionId) return;
+
+        recording.events.push({
+            t: Math.round(performance.now() - recording.startTime),
+            message: stripState(message),
+            state: clone(gameState),
+        });
+
+        if (message.type === 'GAME_OVER') {
+            recording.finished = true;
+        }
+    }
+
+    function startRecording(gameState) {
+        recording = {
+            sessionId: gameState.sessionId,
+            shapeType: gameState.shapeType,
+            myPlayerId: Game.getMyPlayerId(),
+            recordedAt: new Date().toISOString(),
+            startTime: performance.now(),
+            initialState: clone(gameState),
+            events: [],
+            finished: false,
+        };
+    }
+
+    /**
+     * Drop snapshot / delta payloads - each event stores the resulting state instead
+     */
+    function stripState(message) {
+        const { gameState, changes, seq, requestId, ...rest } = message;
+        return rest;
+    }
+
+    function hasRecording() {
+        return Boolean(recording && recording.events.length > 0);
+    }
+
+    /**
+     * Save the latest recording as a JSON file
+     */
+    function download() {
+        if (!hasRecording()) return;
+
+        const replay = {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            recordedAt: recording.recordedAt,
+            sessionId: recording.sessionId,
+            shapeType: recording.shapeType,
+            myPlayerId: recording.myPlayerId,
+            initialState: recording.initialState,
+            events: recording.events,
+        };
+
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `magnet-shapes-replay-${recording.sessionId}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // ==========================================
+    // LOADING
+    // ==========================================
+
+    /**
+     * Parse and check a replay file
+     * @param {string} text - File contents
+     * @returns {Object} Replay
+     * @throws {Error} With a user-facing message when the file can't be played
+     */
+    function parse(text) {
+        let replay;
+        try {
+            replay = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This file is not a valid replay (it is not JSON).');
+        }
+
+        if (!replay || replay.format !== FORMAT) {
+            throw new Error('This file is not a Magnet Shapes replay.');
+        }
+        if (replay.version !== FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}.`);
+        }
+        const events = Array.isArray(replay.events) ? replay.events : null;
+        const intact = events
+            && isValidState(replay.initialState)
+            && events.every(e => e && e.message && typeof e.message.type === 'string' && Number.isFinite(e.t) && isValidState(e.state));
+        if (!intact) {
+            throw new Error('This replay is damaged and cannot be played.');
+        }
+
+        if (replay.initialState.customShape) {
+            try {
+                ShapeImport.use(ShapeImport.check(replay.initialState.customShape));
+            } catch (error) {
+                throw new Error(`This replay's board cannot be used. ${error.message}`);
+            }
+        }
+        if (!Shapes.has(replay.shapeType)) {
+            throw new Error(`This replay uses an unknown shape: ${replay.shapeType}`);
+        }
+
+        return replay;
+    }
+
+    function isValidState(state) {
+        return Protocol.validate('inbound', { type: 'STATE_SNAPSHOT', gameState: state }).length === 0;
+    }
+
+    // ==========================================
+    // PLAYBACK
+    // ==========================================
+    let elements = null;
+    let replay = null;
+    let position = 0;       // Number of events applied
+    let playing = false;
+    let speed = 1;
+    let playTimer = null;
+
+    function init() {
+        elements = {
+            controls: document.getElementById('replayControls'),
+            playBtn: document.getElementById('replayPlayBtn'),
+            stepBackBtn: document.getElementById('replayStepBackBtn'),
+            stepBtn: document.getElementById('replayStepBtn'),
+            speedBtn: document.getElementById('replaySpeedBtn'),
+            scrubber: document.getElementById('replayScrubber'),
+            progress: document.getElementById('replayProgress'),
+        };
+
+        elements.playBtn.addEventListener('click', () => (playing ? pause() : play()));
+        elements.stepBtn.addEventListener('click', () => {
+            pause();
+            stepForward();
+        });
+        elements.stepBackBtn.addEventListener('click', () => {
+            pause();
+            seek(position - 1);
+        });
+        elements.speedBtn.addEventListener('click', cycleSpeed);
+        elements.scrubber.addEventListener('input', () => {
+            pause();
+            seek(Number(elements.scrubber.value));
+        });
+    }
+
+    /**
+     * Show a replay from the beginning (paused)
+     * The caller switches to the game screen and sets the active shape first
+     */
+    function start(loadedReplay) {
+        replay = loadedReplay;
+        speed = 1;
+
+        Game.setReadOnly(true);
+        Game.setMyPlayerId(replay.myPlayerId);
+
+        elements.scrubber.max = replay.events.length;
+        elements.controls.classList.remove('hidden');
+
+        seek(0);
+        updateControls();
+    }
+
+    function stop() {
+        pause();
+        Game.cancelAnimations();
+        replay = null;
+        elements.controls.classList.add('hidden');
+    }
+
+    function play() {
+        if (!replay) return;
+        if (position >= replay.events.length) seek(0); // Play again from the start
+
+        playing = true;
+        updateControls();
+        scheduleNext(0);
+    }
+
+    function pause() {
+        playing = false;
+        clearTimeout(playTimer);
+        playTimer = null;
+        updateControls();
+    }
+
+    function scheduleNext(delay) {
+        clearTimeout(playTimer);
+        playTimer = setTimeout(() => {
+            if (!playing) return;
+
+            stepForward();
+
+            if (position >= replay.events.length) {
+                pause();
+                return;
+            }
+            scheduleNext(gapBefore(position));
+        }, delay);
+    }
+
+    /**
+     * Time to wait before an event, following the recording but within readable bounds
+     */
+    function gapBefore(index) {
+        const previous = index > 0 ? replay.events[index - 1].t : 0;
+        const gap = replay.events[index].t - previous;
+        return Math.min(MAX_EVENT_GAP, Math.max(MIN_EVENT_GAP, gap)) / speed;
+    }
+
+    function cycleSpeed() {
+        speed = SPEEDS[(SPEEDS.indexOf(speed) + 1) % SPEEDS.length];
+        updateControls();
+    }
+
+    /**
+     * Apply the next event with its animation
+     */
+    function stepForward() {
+        if (!replay || position >= replay.events.length) return;
+
+        const previousState = currentState();
+        const event = replay.events[position];
+        position++;
+        updateControls();
+        applyEvent(event, previousState);
+    }
+
+    /**
+     * Jump to the state after the given number of events, without animating
+     */
+    function seek(target) {
+        if (!replay) return;
+
+        position = Math.max(0, Math.min(replay.events.length, target));
+        Game.cancelAnimations();
+        Game.updateState(currentState());
+        updateControls();
+    }
+
+    /**
+     * Show an event the way a live client would, animations included
+     * @param {Object} previousState - State before the event (an earlier animation still playing is fast-forwarded)
+     */
+    function applyEvent(event, previousState) {
+        Game.updateState(previousState);
+        Game.queueEvent(event.message, clone(event.state));
+        announce(event.message, event.state);
+    }
+
+    function announce(message, state) {
+        const nameOf = (id) => (state.players.find(p => p.id === id) || {}).name || 'A player';
+
+        switch (message.type) {
+            case 'MAGNETS_CLUMPED':
+                Game.showMessage(`${nameOf(message.collectorPlayerId)} collected ${message.magnetsCollected} magnets from clumping!`, 'warning');
+                break;
+            case 'GAME_OVER':
+                Game.showMessage(`${message.winnerName} wins!`, 'success');
+                break;
+            case 'PLAYER_LEFT':
+                Game.showMessage(`${message.playerName || 'A player'} left the game`, 'warning');
+                break;
+        }
+    }
+
+    function currentState() {
+        return clone(position === 0 ? replay.initialState : replay.events[position - 1].state);
+    }
+
+    function updateControls() {
+        if (!replay) return;
+
+        elements.playBtn.textContent = playing ? '⏸ Pause' : '▶ Play';
+        elements.speedBtn.textContent = `${speed}×`;
+        elements.scrubber.value = position;
+        elements.progress.textContent = `${position} / ${replay.events.length}`;
+        elements.stepBackBtn.disabled = position === 0;
+        elements.stepBtn.disabled = position >= replay.events.length;
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init,
+        record,
+        hasRecording,
+        download,
+        parse,
+        start,
+        stop,
+        play,
+        pause,
+        seek,
+        isActive: () => replay !== null,
+    };
+})();
@@ -0,0 +1,442 @@
+/**
+ * ==========================================
+ * SHAPE IMPORT MODULE
+ * ==========================================
+ * Turns SVG files and pasted path data into custom board shapes
+ * The outline is flattened, fitted into the board (Shapes.CANVAS_WIDTH x CANVAS_HEIGHT)
+ * and checked for room to play before it can be used.
+ *
+ * Custom shape (sent with CREATE_SESSION and kept in gameState.customShape):
+ *   { name, primitives }   // Playable primitives in board coordinates (see shapes.js)
+ * Imports are a single path primitive; the board editor builds the rest.
+ *
+ * A session's custom shape is registered with the Shapes registry as CUSTOM_SHAPE_ID,
+ * so placement and drawing work exactly like the built-in shapes.
+ */
+
+const ShapeImport = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const CUSTOM_SHAPE_ID = 'custom';
+    const DEFAULT_NAME = 'Custom';
+    const MAX_NAME_LENGTH = 20;
+    const BOARD_PADDING = 40;          // px left free around the fitted shape
+    const CURVE_PRECISION = 150;       // Curve pieces per shape size
+    const MIN_POINT_SPACING = 1;       // px - closer points are merged
+    const MAX_PATH_LENGTH = 200000;    // Characters of input path data
+    const MAX_POINTS = 4000;           // Outline points after flattening
+    const MAX_PRIMITIVES = 50;
+    const MAX_COORDINATE = 10000;      // px - anything further out is a broken file
+    const GRID_SIZE = 4;               // px - sampling grid for the checks
+    const MIN_AREA_RATIO = 0.08;       // Share of the board that must be playable
+    const MIN_ROOM_RATIO = 0.04;       // Share of the board where a whole magnet fits
+
+    const IDENTITY = [1, 0, 0, 1, 0, 0]; // SVG matrix(a, b, c, d, e, f)
+
+    // ==========================================
+    // IMPORTING
+    // ==========================================
+
+    /**
+     * Build a custom shape from path data (the d attribute of an SVG path)
+     * @param {string} d - SVG path data, in any units
+     * @param {string} [name] - Display name
+     * @returns {{name: string, primitives: Array}} Custom shape fitted to the board
+     * @throws {Error} With a user-facing message when the shape can't be used
+     */
+    function fromPathData(d, name) {
+        if (typeof d !== 'string' || !d.trim()) {
+            throw new Error('Please paste some path data, e.g. "M 0 0 L 100 0 L 50 80 Z".');
+        }
+        return fromOutlines([{ d, matrix: IDENTITY }], name);
+    }
+
+    /**
+     * Build a custom shape from the contents of an SVG file
+     * Uses every path, polygon, polyline, rect, circle and ellipse together with their transforms;
+     * strokes, clipping and <use> references are ignored
+     * @param {string} text - SVG markup
+     * @param {string} [name] - Display name
+     * @returns {{name: string, primitives: Array}}
+     * @throws {Error} With a user-facing message
+     */
+    function fromSvg(text, name) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const root = doc.documentElement;
+        if (!root || root.nodeName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('This file is not a valid SVG image.');
+        }
+
+        const outlines = [];
+        for (const element of root.querySelectorAll('path, polygon, polyline, rect, circle, ellipse')) {
+            if (element.closest('defs, clipPath, mask, symbol, pattern')) continue;
+
+            const d = elementToPathData(element);
+            if (d) outlines.push({ d, matrix: getTransform(element, root) });
+        }
+
+        if (outlines.length === 0) {
+            throw new Error('No shapes found in this SVG. It needs at least one path, polygon, rect, circle or ellipse.');
+        }
+        return fromOutlines(outlines, name);
+    }
+
+    /**
+     * Flatten, fit and check a set of outlines
+     */
+    function fromOutlines(outlines, name) {
+        const length = outlines.reduce((sum, outline) => sum + outline.d.length, 0);
+        if (length > MAX_PATH_LENGTH) {
+            throw new Error('This shape is too detailed. Please simplify it first.');
+        }
+
+        const flatten = (precision) => outlines.flatMap(({ d, matrix }) => {
+            const tolerance = precision / Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+            return Geometry.flattenPath(d, tolerance).map(polygon => polygon.map(p => applyMatrix(matrix, p)));
+        });
+
+        // A rough pass (curves as straight lines) is enough to know the size
+        const rough = Geometry.getBounds(flatten(Infinity));
+        const size = Math.max(rough.maxX - rough.minX, rough.maxY - rough.minY);
+        if (!(size > 0) || !Number.isFinite(size)) {
+            throw new Error('This path has no area: it needs at least one closed outline.');
+        }
+
+        const polygons = fitToBoard(flatten(size / CURVE_PRECISION));
+        if (polygons.length === 0) {
+            throw new Error('This path has no area: it needs at least one closed outline.');
+        }
+
+        const primitives = [{ type: 'path', d: Geometry.toPathData(polygons) }];
+        checkPlayable(primitives);
+
+        return { name: sanitizeName(name), primitives };
+    }
+
+    /**
+     * Scale and center the outlines into the board, keeping their proportions
+     */
+    function fitToBoard(polygons) {
+        const bounds = Geometry.getBounds(polygons);
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        const availableWidth = Shapes.CANVAS_WIDTH - BOARD_PADDING * 2;
+        const availableHeight = Shapes.CANVAS_HEIGHT - BOARD_PADDING * 2;
+
+        const scale = Math.min(
+            width > 0 ? availableWidth / width : Infinity,
+            height > 0 ? availableHeight / height : Infinity
+        );
+        const offsetX = (Shapes.CANVAS_WIDTH - width * scale) / 2 - bounds.minX * scale;
+        const offsetY = (Shapes.CANVAS_HEIGHT - height * scale) / 2 - bounds.minY * scale;
+
+        const fitted = [];
+        for (const polygon of polygons) {
+            const points = [];
+            for (const p of polygon) {
+                const point = { x: p.x * scale + offsetX, y: p.y * scale + offsetY };
+                const last = points[points.length - 1];
+                if (!last || Math.hypot(point.x - last.x, point.y - last.y) >= MIN_POINT_SPACING) {
+                    points.push(point);
+                }
+            }
+            if (points.length >= 3) fitted.push(points);
+        }
+        return fitted;
+    }
+
+    /**
+     * Reject boards that are degenerate, too detailed, too small or too narrow for magnets
+     * @param {Array} primitives - Playable primitives in board coordinates
+     * @throws {Error} Explaining what is wrong
+     */
+    function checkPlayable(primitives) {
+        const pointCount = primitives
+            .flatMap(primitive => Shapes.toPolygons(primitive, GRID_SIZE))
+            .reduce((sum, polygon) => sum + polygon.length, 0);
+        if (pointCount > MAX_POINTS) {
+            throw new Error(`This shape is too detailed (${pointCount} points, at most ${MAX_POINTS}). Please simplify it first.`);
+        }
+
+        const grid = Shapes.sampleArea({ primitives }, GRID_SIZE);
+        const totalCells = grid.columns * grid.rows;
+
+        const areaRatio = grid.filled / totalCells;
+        if (areaRatio < MIN_AREA_RATIO) {
+            throw new Error(`This shape is too small to play on: it covers ${formatPercent(areaRatio)} of the board, at least ${formatPercent(MIN_AREA_RATIO)} is needed.`);
+        }
+
+        const roomRatio = countMagnetRoom(grid) / totalCells;
+        if (roomRatio < MIN_ROOM_RATIO) {
+            throw new Error('This shape is too thin: most of it is too narrow to hold a magnet.');
+        }
+    }
+
+    /**
+     * Number of grid cells where a whole magnet fits inside the shape
+     */
+    function countMagnetRoom(grid) {
+        const reach = Math.ceil(Game.MAGNET_RADIUS / grid.cellSize);
+        const offsets = [];
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                if (dx * dx + dy * dy <= reach * reach) offsets.push([dx, dy]);
+            }
+        }
+
+        let count = 0;
+        for (let row = reach; row < grid.rows - reach; row++) {
+            for (let column = reach; column < grid.columns - reach; column++) {
+                if (offsets.every(([dx, dy]) => grid.cells[(row + dy) * grid.columns + column + dx])) {
+                    count++;
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Check a custom shape from an untrusted source (a client, a file) before it is played on
+     * @param {{name: string, primitives: Array}} customShape
+     * @returns {{name: string, primitives: Array}} Cleaned copy (see clean)
+     * @throws {Error} With a user-facing message
+     */
+    function check(customShape) {
+        const cleaned = clean(customShape);
+        checkPlayable(cleaned.primitives);
+        return cleaned;
+    }
+
+    /**
+     * Check that a custom shape is well-formed, without judging whether it is playable
+     * Keeps only the geometry: styles and unknown fields are dropped
+     * @returns {{name: string, primitives: Array}} Cleaned copy
+     * @throws {Error} With a user-facing message
+     */
+    function clean(customShape) {
+        if (!customShape || !Array.isArray(customShape.primitives) || customShape.primitives.length === 0) {
+            throw new Error('This shape is empty.');
+        }
+        if (customShape.primitives.length > MAX_PRIMITIVES) {
+            throw new Error(`This shape has too many parts (at most ${MAX_PRIMITIVES}).`);
+        }
+
+        const primitives = customShape.primitives.map(cleanPrimitive);
+        const problem = Shapes.validate({ id: CUSTOM_SHAPE_ID, primitives });
+        if (problem) {
+            throw new Error(`This shape is invalid: ${problem}.`);
+        }
+
+        return { name: sanitizeName(customShape.name), primitives };
+    }
+
+    function cleanPrimitive(primitive) {
+        const coordinate = (value) => {
+            if (!Number.isFinite(value) || Math.abs(value) > MAX_COORDINATE) {
+                throw new Error('This shape has invalid coordinates.');
+            }
+            return value;
+        };
+        const type = primitive && primitive.type;
+        const op = primitive && primitive.op !== undefined ? { op: primitive.op } : {};
+
+        switch (type) {
+            case 'polygon':
+                return {
+                    type,
+                    ...op,
+                    points: Array.isArray(primitive.points)
+                        ? primitive.points.map(p => ({ x: coordinate(p && p.x), y: coordinate(p && p.y) }))
+                        : [],
+                };
+            case 'rect':
+                return {
+                    type,
+                    ...op,
+                    x: coordinate(primitive.x),
+                    y: coordinate(primitive.y),
+                    width: coordinate(primitive.width),
+                    height: coordinate(primitive.height),
+                };
+            case 'ellipse':
+                return {
+                    type,
+                    ...op,
+                    cx: coordinate(primitive.cx),
+                    cy: coordinate(primitive.cy),
+                    rx: coordinate(primitive.rx ?? primitive.r),
+                    ry: coordinate(primitive.ry ?? primitive.r),
+                };
+            case 'path':
+                return { type, ...op, d: typeof primitive.d === 'string' ? primitive.d : null };
+        }
+        return { type };
+    }
+
+    function sanitizeName(name) {
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        return trimmed || DEFAULT_NAME;
+    }
+
+    function formatPercent(ratio) {
+        return `${Math.round(ratio * 1000) / 10}%`;
+    }
+
+    // ==========================================
+    // SVG ELEMENTS
+    // ==========================================
+
+    /**
+     * Path data equivalent of a basic SVG shape element
+     */
+    function elementToPathData(element) {
+        const number = (attribute) => parseFloat(element.getAttribute(attribute)) || 0;
+
+        switch (element.nodeName.toLowerCase()) {
+            case 'path':
+                return element.getAttribute('d') || '';
+
+            case 'polygon':
+            case 'polyline': {
+                const points = (element.getAttribute('points') || '').trim();
+                return points ? `M ${points} Z` : '';
+            }
+
+            case 'rect': {
+                const x = number('x');
+                const y = number('y');
+                const width = number('width');
+                const height = number('height');
+                return width > 0 && height > 0 ? `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z` : '';
+            }
+
+            case 'circle':
+            case 'ellipse': {
+                const cx = number('cx');
+                const cy = number('cy');
+                const rx = element.hasAttribute('r') ? number('r') : number('rx');
+                const ry = element.hasAttribute('r') ? number('r') : number('ry');
+                if (!(rx > 0 && ry > 0)) return '';
+                return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Combined transform of an element and its ancestors up to the root
+     */
+    function getTransform(element, root) {
+        let matrix = IDENTITY;
+        for (let node = element; node && node !== root; node = node.parentNode) {
+            const transform = node.getAttribute && node.getAttribute('transform');
+            if (transform) matrix = multiply(parseTransform(transform), matrix);
+        }
+        return matrix;
+    }
+
+    /**
+     * Parse a transform attribute ("translate(10 20) rotate(45)") into a matrix
+     */
+    function parseTransform(text) {
+        let matrix = IDENTITY;
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+        for (const [, name, rawArgs] of text.matchAll(pattern)) {
+            const args = rawArgs.split(/[\s,]+/).filter(Boolean).map(Number);
+            let step = IDENTITY;
+
+            switch (name) {
+                case 'matrix':
+                    if (args.length === 6) step = args;
+                    break;
+                case 'translate':
+                    step = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale':
+                    step = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                    break;
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const [cx = 0, cy = 0] = args.slice(1);
+                    const cos = Math.cos(angle);
+                    const sin = Math.sin(angle);
+                    step = multiply(
+                        [1, 0, 0, 1, cx, cy],
+                        multiply([cos, sin, -sin, cos, 0, 0], [1, 0, 0, 1, -cx, -cy])
+                    );
+                    break;
+                }
+                case 'skewX':
+                    step = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    step = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = multiply(matrix, step);
+        }
+        return matrix;
+    }
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5],
+        ];
+    }
+
+    function applyMatrix(m, p) {
+        return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+    }
+
+    // ==========================================
+    // REGISTRY
+    // ==========================================
+
+    /**
+     * Make a custom shape available as CUSTOM_SHAPE_ID
+     * Does nothing when it is already the registered custom shape
+     * @param {{name: string, primitives: Array}} customShape
+     * @returns {string} Shape id to use as shapeType
+     * @throws {TypeError} When the shape is malformed (see Shapes.register)
+     */
+    function use(customShape) {
+        const current = getCustomShape();
+        if (!current || JSON.stringify(current) !== JSON.stringify({ name: customShape.name, primitives: customShape.primitives })) {
+            Shapes.register({
+                id: CUSTOM_SHAPE_ID,
+                name: customShape.name,
+                primitives: customShape.primitives,
+            });
+        }
+        return CUSTOM_SHAPE_ID;
+    }
+
+    /**
+     * @returns {{name: string, primitives: Array}|null} The registered custom shape
+     */
+    function getCustomShape() {
+        const definition = Shapes.get(CUSTOM_SHAPE_ID);
+        return definition ? { name: definition.name, primitives: definition.primitives } : null;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        CUSTOM_SHAPE_ID,
+        fromPathData,
+        fromSvg,
+        check,
+        clean,
+        use,
+        getCustomShape,
+    };
+})();
@@ -2,8 +2,44 @@
  * ==========================================
  * SHAPES MODULE
  * ==========================================
- * Handles shape definitions, drawing, and placement validation
- * Uses pixel mask for shape detection
+ * Registry of board shapes, drawing, and placement validation
+ * Every shape is a single declarative definition; placement validation,
+ * the rendered board and the lobby button are all generated from it.
+ * Placement uses exact geometry (no canvas), so it works headless and
+ * gives the same answer at any resolution.
+ *
+ * Definition:
+ *   {
+ *     id: 'circle',              // Sent to the server as shapeType
+ *     name: 'Circle',            // Shown in the lobby and waiting room
+ *     style: { fill, stroke, lineWidth },   // Optional, merged over the default style (a theme may override it)
+ *     primitives: [...],         // The playable area (placement + board)
+ *     zones: [...],              // Optional no-go areas on the board, drawn hatched
+ *     decorations: [...],        // Drawn on the board only (eyes, gills, ...)
+ *     viewBox: [x, y, w, h],     // Optional lobby icon crop, computed when omitted
+ *     feature: 'zonedBoards',    // Optional server feature needed to play it (see Protocol.FEATURES)
+ *   }
+ *
+ * Shifting boards add a board transform { rotation, scale } (degrees clockwise, size factor)
+ * around the board center; drawing and containment take it as an optional last argument.
+ *
+ * Generated shapes have ids like 'random:42': the part before the colon picks a generator
+ * (see addGenerator) that builds the definition from the rest on first use.
+ *
+ * Primitives (coordinates are canvas pixels, 800x600), each may carry its own style:
+ *   { type: 'polygon', points: [{ x, y }, ...] }
+ *   { type: 'ellipse', cx, cy, rx, ry }    (or r for a circle)
+ *   { type: 'rect', x, y, width, height }
+ *   { type: 'path', d: 'M ... Z' }         (SVG path data)
+ *   { type: 'line', from: { x, y }, to: { x, y } }   (decorations only)
+ *
+ * Playable primitives combine in order through their op:
+ *   op: 'union' (default) adds the area, op: 'subtract' cuts it out of what came before
+ * Subtracted parts are holes (off the board); zones stay on the board but refuse magnets.
+ *
+ * Paint (fill / stroke) is a CSS color or a gradient:
+ *   { linear: [x0, y0, x1, y1], stops: [[offset, color], ...] }
+ *   { radial: [x0, y0, r0, x1, y1, r1], stops: [[offset, color], ...] }
  */
 
 const Shapes = (function() {
@@ -13,485 +49,1047 @@ const Shapes = (function() {
     const CANVAS_WIDTH = 800;
     const CANVAS_HEIGHT = 600;
 
-    // ==========================================
-    // SHAPE DEFINITIONS
-    // ==========================================
-    
-    const CIRCLE_SHAPE = {
-        centerX: CANVAS_WIDTH / 2,
-        centerY: CANVAS_HEIGHT / 2,
-        radius: 200,
-    };
+    const PRIMITIVE_TYPES = ['polygon', 'ellipse', 'rect', 'path', 'line'];
+    const OUTLINE_TOLERANCE = 4;     // px - curve precision for bounds
+    const OPS = ['union', 'subtract'];
+    const HATCH_SPACING = 12;        // px between the stripes of a no-go zone
 
-    const SQUARE_SHAPE = {
-        centerX: CANVAS_WIDTH / 2,
-        centerY: CANVAS_HEIGHT / 2,
-        size: 350,
+    const DEFAULT_STYLE = {
+        fill: {
+            linear: [0, 0, CANVAS_WIDTH, CANVAS_HEIGHT],
+            stops: [[0, 'rgba(99, 102, 241, 0.15)'], [1, 'rgba(168, 85, 247, 0.15)']],
+        },
+        stroke: 'rgba(99, 102, 241, 0.6)',
+        lineWidth: 3,
     };
 
-    const RECTANGLE_SHAPE = {
-        centerX: CANVAS_WIDTH / 2,
-        centerY: CANVAS_HEIGHT / 2,
-        width: 500,
-        height: 300,
+    const ZONE_STYLE = {
+        fill: 'rgba(239, 68, 68, 0.08)',
+        hatch: 'rgba(239, 68, 68, 0.45)',
+        stroke: 'rgba(239, 68, 68, 0.7)',
+        lineWidth: 2,
     };
 
-    const TRIANGLE_SHAPE = {
-        points: [
-            { x: 400, y: 80 },
-            { x: 180, y: 480 },
-            { x: 620, y: 480 },
-        ],
-    };
+    // ==========================================
+    // SHAPE REGISTRY
+    // ==========================================
+    const registry = new Map(); // id -> definition, in registration order
+    const generators = new Map(); // id prefix -> generate(argument)
+    const generated = new Map(); // id -> definition, oldest first
+    const MAX_GENERATED = 32;
+    const emitter = Events.createEmitter();
 
-    const DIAMOND_SHAPE = {
-        points: [
-            { x: 400, y: 60 },
-            { x: 600, y: 300 },
-            { x: 400, y: 540 },
-            { x: 200, y: 300 },
-        ],
-    };
+    /**
+     * Add a shape (or replace one with the same id)
+     * Emits 'registered' with the definition so the lobby can show it
+     * @param {Object} definition - See the module comment
+     * @returns {Object} The stored definition
+     * @throws {TypeError} When the definition is malformed
+     */
+    function register(definition) {
+        const problem = checkDefinition(definition);
+        if (problem) {
+            throw new TypeError(`Invalid shape definition${definition && definition.id ? ` "${definition.id}"` : ''}: ${problem}`);
+        }
+
+        if (registry.has(definition.id)) {
+            console.warn(`[Shapes] Replacing shape "${definition.id}"`);
+        }
+
+        const stored = {
+            ...definition,
+            name: definition.name || definition.id,
+            zones: definition.zones || [],
+            decorations: definition.decorations || [],
+        };
+        registry.set(stored.id, stored);
+        emitter.emit('registered', stored);
+        return stored;
+    }
+
+    /**
+     * @returns {string|null} What is wrong with a definition, or null when it can be registered
+     */
+    function checkDefinition(definition) {
+        if (!definition || typeof definition.id !== 'string' || !definition.id) {
+            return 'id must be a non-empty string';
+        }
+        if (!Array.isArray(definition.primitives) || definition.primitives.length === 0) {
+            return 'primitives must be a non-empty array';
+        }
+
+        if (definition.zones !== undefined && !Array.isArray(definition.zones)) {
+            return 'zones must be an array';
+        }
+
+        const zones = definition.zones || [];
+        const all = [...definition.primitives, ...zones, ...(definition.decorations || [])];
+        for (const primitive of all) {
+            if (!primitive || !PRIMITIVE_TYPES.includes(primitive.type)) {
+                return `unknown primitive type "${primitive && primitive.type}"`;
+            }
+            if (primitive.type === 'polygon' && (!Array.isArray(primitive.points) || primitive.points.length < 3)) {
+                return 'polygons need at least 3 points';
+            }
+            if (primitive.type === 'path') {
+                if (typeof primitive.d !== 'string') return 'paths need a d string';
+                try {
+                    Geometry.flattenPath(primitive.d, Infinity);
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        }
+        if ([...definition.primitives, ...zones].some(p => p.type === 'line')) {
+            return 'lines have no area and can only be decorations';
+        }
+        if (zones.some(p => p.op !== undefined)) {
+            return 'zones are always forbidden areas and take no op';
+        }
+        if (definition.primitives.some(p => p.op !== undefined && !OPS.includes(p.op))) {
+            return `op must be one of ${OPS.join(', ')}`;
+        }
+        if (definition.primitives.every(p => p.op === 'subtract')) {
+            return 'at least one primitive must add area';
+        }
+
+        return null;
+    }
+
+    function get(id) {
+        return registry.get(id) || getGenerated(id);
+    }
+
+    /**
+     * Build whole families of shapes on demand from their id, e.g. 'random:<seed>'
+     * Generated shapes work wherever an id is accepted but are not listed or emitted
+     * @param {string} prefix - Id part before the colon
+     * @param {Function} generate - (argument) => definition without id, or null when the argument is invalid
+     */
+    function addGenerator(prefix, generate) {
+        generators.set(prefix, generate);
+    }
+
+    function getGenerated(id) {
+        if (generated.has(id)) return generated.get(id);
+
+        const separator = typeof id === 'string' ? id.indexOf(':') : -1;
+        const generate = separator > 0 ? generators.get(id.slice(0, separator)) : null;
+        if (!generate) return null;
+
+        const definition = generate(id.slice(separator + 1));
+        if (!definition) return null;
+
+        const problem = checkDefinition({ ...definition, id });
+        if (problem) {
+            console.warn(`[Shapes] Generated shape "${id}" is invalid: ${problem}`);
+            return null;
+        }
+
+        // Ids are deterministic, so forgetting old ones only costs a rebuild
+        if (generated.size >= MAX_GENERATED) {
+            generated.delete(generated.keys().next().value);
+        }
+        const stored = {
+            ...definition,
+            id,
+            name: definition.name || id,
+            zones: definition.zones || [],
+            decorations: definition.decorations || [],
+        };
+        generated.set(id, stored);
+        return stored;
+    }
+
+    /**
+     * Drawing and containment accept a registered id or an unregistered definition (e.g. an editor draft)
+     */
+    function resolve(shape) {
+        if (typeof shape === 'string') return get(shape);
+        return shape && Array.isArray(shape.primitives) ? shape : null;
+    }
+
+    function has(id) {
+        return get(id) !== null;
+    }
+
+    /**
+     * @returns {Array<Object>} Every registered definition, in registration order
+     */
+    function list() {
+        return Array.from(registry.values());
+    }
+
+    // ==========================================
+    // BUILT-IN SHAPES
+    // ==========================================
 
-    // Generate star points
-    const STAR_SHAPE = (() => {
-        const cx = CANVAS_WIDTH / 2;
-        const cy = CANVAS_HEIGHT / 2;
-        const outerRadius = 220;
-        const innerRadius = 90;
+    function starPoints(cx, cy, outerRadius, innerRadius, spikes) {
         const points = [];
-        
-        for (let i = 0; i < 10; i++) {
-            const angle = (i * Math.PI / 5) - Math.PI / 2;
+        for (let i = 0; i < spikes * 2; i++) {
+            const angle = (i * Math.PI / spikes) - Math.PI / 2;
             const radius = i % 2 === 0 ? outerRadius : innerRadius;
             points.push({
                 x: cx + Math.cos(angle) * radius,
                 y: cy + Math.sin(angle) * radius,
             });
         }
-        
-        return { points };
-    })();
+        return points;
+    }
 
-    // Generate heart points
-    const HEART_SHAPE = (() => {
-        const cx = CANVAS_WIDTH / 2;
+    function heartPoints(cx, cy, scale) {
         const points = [];
-        const scale = 12;
-        
         for (let t = 0; t <= Math.PI * 2; t += 0.1) {
             const x = 16 * Math.pow(Math.sin(t), 3);
             const y = -(13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t));
-            points.push({
-                x: cx + x * scale,
-                y: 300 + y * scale,
-            });
+            points.push({ x: cx + x * scale, y: cy + y * scale });
         }
-        
-        return { points };
-    })();
-
-    const CAT_SHAPE = {
-        bodyCenter: { x: 400, y: 380 },
-        bodyRadiusX: 120,
-        bodyRadiusY: 80,
-        headCenter: { x: 400, y: 220 },
-        headRadius: 70,
-        leftEar: [
-            { x: 340, y: 160 },
-            { x: 320, y: 100 },
-            { x: 360, y: 130 },
-        ],
-        rightEar: [
-            { x: 460, y: 160 },
-            { x: 480, y: 100 },
-            { x: 440, y: 130 },
-        ],
-        tailPoints: [
-            { x: 520, y: 350 },
-            { x: 580, y: 320 },
-            { x: 600, y: 280 },
-            { x: 580, y: 260 },
-            { x: 560, y: 300 },
-            { x: 520, y: 330 },
-        ],
-    };
+        return points;
+    }
 
-    const SHARK_SHAPE = {
-        bodyPoints: [
-            { x: 150, y: 300 },
-            { x: 250, y: 250 },
-            { x: 400, y: 220 },
-            { x: 420, y: 150 },
-            { x: 440, y: 220 },
-            { x: 550, y: 240 },
-            { x: 650, y: 200 },
-            { x: 600, y: 300 },
-            { x: 650, y: 400 },
-            { x: 550, y: 360 },
-            { x: 400, y: 380 },
-            { x: 300, y: 400 },
-            { x: 320, y: 450 },
-            { x: 280, y: 380 },
-            { x: 200, y: 350 },
-        ],
-    };
+    const BUILT_IN_SHAPES = [
+        // Basic shapes
+        {
+            id: 'circle',
+            name: 'Circle',
+            primitives: [{ type: 'ellipse', cx: 400, cy: 300, r: 200 }],
+        },
+        {
+            id: 'square',
+            name: 'Square',
+            primitives: [{ type: 'rect', x: 225, y: 125, width: 350, height: 350 }],
+        },
+        {
+            id: 'rectangle',
+            name: 'Rectangle',
+            primitives: [{ type: 'rect', x: 150, y: 150, width: 500, height: 300 }],
+        },
+        {
+            id: 'triangle',
+            name: 'Triangle',
+            primitives: [{ type: 'polygon', points: [{ x: 400, y: 80 }, { x: 180, y: 480 }, { x: 620, y: 480 }] }],
+        },
+        {
+            id: 'diamond',
+            name: 'Diamond',
+            style: {
+                fill: {
+                    linear: [200, 60, 600, 540],
+                    stops: [[0, 'rgba(59, 130, 246, 0.2)'], [0.5, 'rgba(139, 92, 246, 0.15)'], [1, 'rgba(236, 72, 153, 0.2)']],
+                },
+                stroke: 'rgba(139, 92, 246, 0.7)',
+            },
+            primitives: [{ type: 'polygon', points: [{ x: 400, y: 60 }, { x: 600, y: 300 }, { x: 400, y: 540 }, { x: 200, y: 300 }] }],
+        },
 
-    const TREE_SHAPE = {
-        trunkLeft: 370,
-        trunkRight: 430,
-        trunkTop: 400,
-        trunkBottom: 550,
-        foliage: [
-            [{ x: 400, y: 120 }, { x: 250, y: 300 }, { x: 550, y: 300 }],
-            [{ x: 400, y: 80 }, { x: 280, y: 220 }, { x: 520, y: 220 }],
-            [{ x: 400, y: 50 }, { x: 320, y: 150 }, { x: 480, y: 150 }],
-        ],
-    };
+        // Special shapes
+        {
+            id: 'star',
+            name: 'Star',
+            style: {
+                fill: { radial: [400, 300, 0, 400, 300, 220], stops: [[0, 'rgba(251, 191, 36, 0.25)'], [1, 'rgba(245, 158, 11, 0.15)']] },
+                stroke: 'rgba(245, 158, 11, 0.7)',
+            },
+            primitives: [{ type: 'polygon', points: starPoints(400, 300, 220, 90, 5) }],
+        },
+        {
+            id: 'heart',
+            name: 'Heart',
+            style: {
+                fill: { radial: [400, 300, 0, 400, 300, 200], stops: [[0, 'rgba(244, 63, 94, 0.25)'], [1, 'rgba(236, 72, 153, 0.15)']] },
+                stroke: 'rgba(244, 63, 94, 0.7)',
+            },
+            primitives: [{ type: 'polygon', points: heartPoints(400, 300, 12) }],
+        },
+
+        // Fun shapes
+        {
+            id: 'cat',
+            name: 'Cat',
+            primitives: [
+                { type: 'ellipse', cx: 400, cy: 380, rx: 120, ry: 80 },   // Body
+                { type: 'ellipse', cx: 400, cy: 220, r: 70 },             // Head
+                { type: 'polygon', points: [{ x: 340, y: 160 }, { x: 320, y: 100 }, { x: 360, y: 130 }] },   // Ears
+                { type: 'polygon', points: [{ x: 460, y: 160 }, { x: 480, y: 100 }, { x: 440, y: 130 }] },
+                { type: 'polygon', points: [                              // Tail
+                    { x: 520, y: 350 }, { x: 580, y: 320 }, { x: 600, y: 280 },
+                    { x: 580, y: 260 }, { x: 560, y: 300 }, { x: 520, y: 330 },
+                ] },
+            ],
+            decorations: [
+                // Eyes
+                { type: 'ellipse', cx: 375, cy: 215, rx: 12, ry: 16, style: { fill: 'rgba(255, 255, 255, 0.8)', stroke: 'rgba(99, 102, 241, 0.8)', lineWidth: 2 } },
+                { type: 'ellipse', cx: 425, cy: 215, rx: 12, ry: 16, style: { fill: 'rgba(255, 255, 255, 0.8)', stroke: 'rgba(99, 102, 241, 0.8)', lineWidth: 2 } },
+                // Pupils
+                { type: 'ellipse', cx: 375, cy: 215, rx: 4, ry: 10, style: { fill: 'rgba(30, 30, 60, 0.9)' } },
+                { type: 'ellipse', cx: 425, cy: 215, rx: 4, ry: 10, style: { fill: 'rgba(30, 30, 60, 0.9)' } },
+                // Nose
+                { type: 'polygon', points: [{ x: 400, y: 235 }, { x: 392, y: 245 }, { x: 408, y: 245 }], style: { fill: 'rgba(244, 63, 94, 0.8)' } },
+            ],
+        },
+        {
+            id: 'shark',
+            name: 'Shark',
+            primitives: [{ type: 'polygon', points: [
+                { x: 150, y: 300 }, { x: 250, y: 250 }, { x: 400, y: 220 }, { x: 420, y: 150 },
+                { x: 440, y: 220 }, { x: 550, y: 240 }, { x: 650, y: 200 }, { x: 600, y: 300 },
+                { x: 650, y: 400 }, { x: 550, y: 360 }, { x: 400, y: 380 }, { x: 300, y: 400 },
+                { x: 320, y: 450 }, { x: 280, y: 380 }, { x: 200, y: 350 },
+            ] }],
+            decorations: [
+                // Eye
+                { type: 'ellipse', cx: 220, cy: 285, r: 10, style: { fill: 'rgba(255, 255, 255, 0.8)' } },
+                { type: 'ellipse', cx: 222, cy: 285, r: 5, style: { fill: 'rgba(30, 30, 60, 0.9)' } },
+                // Gills
+                { type: 'line', from: { x: 280, y: 280 }, to: { x: 275, y: 320 }, style: { stroke: 'rgba(99, 102, 241, 0.5)', lineWidth: 2 } },
+                { type: 'line', from: { x: 300, y: 280 }, to: { x: 295, y: 320 }, style: { stroke: 'rgba(99, 102, 241, 0.5)', lineWidth: 2 } },
+                { type: 'line', from: { x: 320, y: 280 }, to: { x: 315, y: 320 }, style: { stroke: 'rgba(99, 102, 241, 0.5)', lineWidth: 2 } },
+            ],
+        },
+        {
+            id: 'tree',
+            name: 'Tree',
+            style: {
+                fill: { linear: [0, 50, 0, 300], stops: [[0, 'rgba(34, 197, 94, 0.3)'], [1, 'rgba(22, 163, 74, 0.2)']] },
+                stroke: 'rgba(34, 197, 94, 0.7)',
+            },
+            primitives: [
+                // Foliage
+                { type: 'polygon', points: [{ x: 400, y: 120 }, { x: 250, y: 300 }, { x: 550, y: 300 }] },
+                { type: 'polygon', points: [{ x: 400, y: 80 }, { x: 280, y: 220 }, { x: 520, y: 220 }] },
+                { type: 'polygon', points: [{ x: 400, y: 50 }, { x: 320, y: 150 }, { x: 480, y: 150 }] },
+                // Trunk
+                {
+                    type: 'rect', x: 370, y: 400, width: 60, height: 150,
+                    style: {
+                        fill: {
+                            linear: [370, 0, 430, 0],
+                            stops: [[0, 'rgba(139, 90, 43, 0.4)'], [0.5, 'rgba(160, 110, 60, 0.4)'], [1, 'rgba(139, 90, 43, 0.4)']],
+                        },
+                        stroke: 'rgba(139, 90, 43, 0.7)',
+                    },
+                },
+            ],
+        },
+
+        // Boards with holes and no-go zones - only servers with the zonedBoards feature know them
+        {
+            id: 'donut',
+            name: 'Donut',
+            feature: 'zonedBoards',
+            style: {
+                fill: { radial: [400, 300, 80, 400, 300, 230], stops: [[0, 'rgba(236, 72, 153, 0.25)'], [1, 'rgba(251, 191, 36, 0.15)']] },
+                stroke: 'rgba(236, 72, 153, 0.7)',
+            },
+            primitives: [
+                { type: 'ellipse', cx: 400, cy: 300, r: 230 },
+                { type: 'ellipse', cx: 400, cy: 300, r: 90, op: 'subtract' },
+            ],
+        },
+        {
+            id: 'frame',
+            name: 'Picture Frame',
+            feature: 'zonedBoards',
+            primitives: [
+                { type: 'rect', x: 130, y: 90, width: 540, height: 420 },
+                { type: 'rect', x: 260, y: 210, width: 280, height: 180, op: 'subtract' },
+            ],
+        },
+        {
+            id: 'pillars',
+            name: 'Pillars',
+            feature: 'zonedBoards',
+            primitives: [{ type: 'rect', x: 110, y: 110, width: 580, height: 380 }],
+            zones: [
+                { type: 'ellipse', cx: 250, cy: 220, r: 45 },
+                { type: 'ellipse', cx: 550, cy: 220, r: 45 },
+                { type: 'ellipse', cx: 250, cy: 380, r: 45 },
+                { type: 'ellipse', cx: 550, cy: 380, r: 45 },
+                { type: 'rect', x: 370, y: 240, width: 60, height: 120 },
+            ],
+        },
+    ];
+
+    BUILT_IN_SHAPES.forEach(register);
 
     // ==========================================
-    // MASK CANVAS
+    // ACTIVE SHAPE
     // ==========================================
-    let maskCanvas = null;
-    let maskCtx = null;
+    let activeShape = null; // Definition of the board being played, for isInsideShape
 
-    function initMaskCanvas(canvas) {
-        maskCanvas = canvas;
-        maskCtx = canvas.getContext('2d', { willReadFrequently: true });
+    /**
+     * Choose the board that isInsideShape checks against
+     * @param {string|Object} shape - Shape id or definition
+     */
+    function setActiveShape(shape) {
+        activeShape = resolve(shape);
+        if (!activeShape) {
+            console.warn(`[Shapes] Unknown shape "${shape}" - nothing is placeable`);
+        }
     }
 
-    function generateMask(shapeType) {
-        if (!maskCtx) return;
+    // ==========================================
+    // DRAWING FUNCTIONS
+    // ==========================================
+
+    let layerCtx = null; // Offscreen board for shapes with cut-outs
+
+    /**
+     * Draw the board
+     * @param {CanvasRenderingContext2D} ctx - Target, drawn in board coordinates (its transform maps them to pixels)
+     * @param {string|Object} shape - Shape id or definition
+     * @param {Object} [transform] - Board transform of a shifting board
+     */
+    function drawShape(ctx, shape, transform) {
+        const definition = resolve(shape);
+        if (!definition) return;
+
+        // Cut-outs erase what is below them, so they are drawn apart from the background
+        const hasCutouts = definition.primitives.some(p => p.op === 'subtract');
+        const target = hasCutouts ? getLayer(ctx) : ctx;
+
+        target.save();
+        if (transform) {
+            target.translate(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+            target.rotate(transform.rotation * Math.PI / 180);
+            target.scale(transform.scale, transform.scale);
+            target.translate(-CANVAS_WIDTH / 2, -CANVAS_HEIGHT / 2);
+        }
+
+        // A theme with its own board colors replaces the shape's colors
+        const theme = Themes.getCurrent();
+        const shapeStyle = { ...DEFAULT_STYLE, ...definition.style };
+        for (const primitive of definition.primitives) {
+            const style = { ...shapeStyle, ...primitive.style, ...theme.board };
+            if (primitive.op === 'subtract') {
+                cutPrimitive(target, primitive, style);
+            } else {
+                paintPrimitive(target, primitive, style);
+            }
+        }
 
-        maskCtx.fillStyle = 'black';
-        maskCtx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-        maskCtx.fillStyle = 'white';
+        for (const zone of definition.zones || []) {
+            paintZone(target, zone, { ...ZONE_STYLE, ...zone.style, ...theme.zone });
+        }
 
-        switch (shapeType) {
-            case 'circle': drawCircleMask(); break;
-            case 'square': drawSquareMask(); break;
-            case 'rectangle': drawRectangleMask(); break;
-            case 'triangle': drawTriangleMask(); break;
-            case 'diamond': drawDiamondMask(); break;
-            case 'star': drawStarMask(); break;
-            case 'heart': drawHeartMask(); break;
-            case 'cat': drawCatMask(); break;
-            case 'shark': drawSharkMask(); break;
-            case 'tree': drawTreeMask(); break;
+        // Decorations only use their own style: no fill or stroke unless asked for
+        for (const decoration of definition.decorations || []) {
+            paintPrimitive(target, decoration, { lineWidth: 2, ...decoration.style });
+        }
+
+        target.restore();
+
+        if (hasCutouts) {
+            // The layer is already in the target's pixels
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.drawImage(layerCtx.canvas, 0, 0);
+            ctx.restore();
         }
     }
 
-    function drawCircleMask() {
-        maskCtx.beginPath();
-        maskCtx.arc(CIRCLE_SHAPE.centerX, CIRCLE_SHAPE.centerY, CIRCLE_SHAPE.radius, 0, Math.PI * 2);
-        maskCtx.fill();
+    /**
+     * Blank offscreen canvas with the same pixel size and transform as the target
+     */
+    function getLayer(ctx) {
+        if (!layerCtx) {
+            layerCtx = document.createElement('canvas').getContext('2d');
+        }
+        const layer = layerCtx.canvas;
+        if (layer.width !== ctx.canvas.width || layer.height !== ctx.canvas.height) {
+            layer.width = ctx.canvas.width;
+            layer.height = ctx.canvas.height;
+        }
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, layer.width, layer.height);
+        layerCtx.setTransform(ctx.getTransform());
+        return layerCtx;
     }
 
-    function drawSquareMask() {
-        const half = SQUARE_SHAPE.size / 2;
-        maskCtx.fillRect(
-            SQUARE_SHAPE.centerX - half,
-            SQUARE_SHAPE.centerY - half,
-            SQUARE_SHAPE.size,
-            SQUARE_SHAPE.size
-        );
+    /**
+     * Erase a primitive's area and outline the cut where it meets the board
+     */
+    function cutPrimitive(ctx, primitive, style) {
+        const path = tracePrimitive(primitive);
+
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.fill(path);
+
+        // Only the half of the stroke lying on the remaining board shows
+        if (style.stroke) {
+            ctx.globalCompositeOperation = 'source-atop';
+            ctx.lineWidth = style.lineWidth * 2;
+            ctx.strokeStyle = createPaint(ctx, style.stroke);
+            ctx.stroke(path);
+        }
+
+        ctx.globalCompositeOperation = 'source-over';
     }
 
-    function drawRectangleMask() {
-        maskCtx.fillRect(
-            RECTANGLE_SHAPE.centerX - RECTANGLE_SHAPE.width / 2,
-            RECTANGLE_SHAPE.centerY - RECTANGLE_SHAPE.height / 2,
-            RECTANGLE_SHAPE.width,
-            RECTANGLE_SHAPE.height
-        );
+    function paintPrimitive(ctx, primitive, style) {
+        const path = tracePrimitive(primitive);
+        ctx.lineWidth = style.lineWidth;
+
+        if (style.fill && primitive.type !== 'line') {
+            ctx.fillStyle = createPaint(ctx, style.fill);
+            ctx.fill(path);
+        }
+        if (style.stroke) {
+            ctx.strokeStyle = createPaint(ctx, style.stroke);
+            ctx.stroke(path);
+        }
     }
 
-    function drawTriangleMask() {
-        drawPolygonMask(TRIANGLE_SHAPE.points);
+    /**
+     * Tint a no-go zone, hatch it with diagonal stripes and give it a dashed outline
+     */
+    function paintZone(ctx, zone, style) {
+        const path = tracePrimitive(zone);
+
+        ctx.fillStyle = createPaint(ctx, style.fill);
+        ctx.fill(path);
+
+        ctx.save();
+        ctx.clip(path);
+        const bounds = Geometry.getBounds(toPolygons(zone, OUTLINE_TOLERANCE));
+        const height = bounds.maxY - bounds.minY;
+        ctx.beginPath();
+        for (let x = bounds.minX - height; x < bounds.maxX; x += HATCH_SPACING) {
+            ctx.moveTo(x, bounds.maxY);
+            ctx.lineTo(x + height, bounds.minY);
+        }
+        ctx.lineWidth = style.lineWidth;
+        ctx.strokeStyle = createPaint(ctx, style.hatch);
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        ctx.lineWidth = style.lineWidth;
+        ctx.strokeStyle = createPaint(ctx, style.stroke);
+        ctx.stroke(path);
+        ctx.restore();
     }
 
-    function drawDiamondMask() {
-        drawPolygonMask(DIAMOND_SHAPE.points);
+    /**
+     * Build the outline of a primitive as a Path2D, usable for fill, stroke and mask
+     */
+    function tracePrimitive(primitive) {
+        if (primitive.type === 'path') {
+            return new Path2D(primitive.d);
+        }
+
+        const path = new Path2D();
+        switch (primitive.type) {
+            case 'polygon':
+                path.moveTo(primitive.points[0].x, primitive.points[0].y);
+                for (let i = 1; i < primitive.points.length; i++) {
+                    path.lineTo(primitive.points[i].x, primitive.points[i].y);
+                }
+                path.closePath();
+                break;
+
+            case 'ellipse':
+                path.ellipse(primitive.cx, primitive.cy, primitive.rx ?? primitive.r, primitive.ry ?? primitive.r, 0, 0, Math.PI * 2);
+                break;
+
+            case 'rect':
+                path.rect(primitive.x, primitive.y, primitive.width, primitive.height);
+                break;
+
+            case 'line':
+                path.moveTo(primitive.from.x, primitive.from.y);
+                path.lineTo(primitive.to.x, primitive.to.y);
+                break;
+        }
+        return path;
     }
 
-    function drawStarMask() {
-        drawPolygonMask(STAR_SHAPE.points);
+    function createPaint(ctx, paint) {
+        if (typeof paint === 'string') return paint;
+
+        const gradient = paint.radial
+            ? ctx.createRadialGradient(...paint.radial)
+            : ctx.createLinearGradient(...paint.linear);
+        for (const [offset, color] of paint.stops) {
+            gradient.addColorStop(offset, color);
+        }
+        return gradient;
     }
 
-    function drawHeartMask() {
-        drawPolygonMask(HEART_SHAPE.points);
+    // ==========================================
+    // LOBBY ICONS
+    // ==========================================
+
+    /**
+     * SVG silhouette of a shape for the lobby buttons (fills with currentColor)
+     * @returns {string} SVG markup, empty for unknown shapes
+     */
+    function createIcon(shapeType) {
+        const definition = get(shapeType);
+        if (!definition) return '';
+
+        const [x, y, width, height] = definition.viewBox || iconViewBox(definition.primitives);
+
+        const zones = definition.zones || [];
+        if (!definition.primitives.some(p => p.op === 'subtract') && zones.length === 0) {
+            const parts = definition.primitives.map(p => primitiveToSvg(p, 'currentColor')).join('');
+            return `<svg viewBox="${x} ${y} ${width} ${height}">${parts}</svg>`;
+        }
+
+        // Cut-outs and zones: fill the crop through a mask of added (white) and cut (black) areas
+        const maskId = `shape-mask-${shapeType.replace(/[^\w-]/g, '-')}`;
+        const maskParts = definition.primitives
+            .map(p => primitiveToSvg(p, p.op === 'subtract' ? 'black' : 'white'))
+            .concat(zones.map(zone => primitiveToSvg(zone, 'black')))
+            .join('');
+        return `<svg viewBox="${x} ${y} ${width} ${height}">`
+            + `<mask id="${maskId}">${maskParts}</mask>`
+            + `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="currentColor" mask="url(#${maskId})"/>`
+            + '</svg>';
     }
 
-    function drawCatMask() {
-        maskCtx.beginPath();
-        maskCtx.ellipse(CAT_SHAPE.bodyCenter.x, CAT_SHAPE.bodyCenter.y, CAT_SHAPE.bodyRadiusX, CAT_SHAPE.bodyRadiusY, 0, 0, Math.PI * 2);
-        maskCtx.fill();
-        maskCtx.beginPath();
-        maskCtx.arc(CAT_SHAPE.headCenter.x, CAT_SHAPE.headCenter.y, CAT_SHAPE.headRadius, 0, Math.PI * 2);
-        maskCtx.fill();
-        drawPolygonMask(CAT_SHAPE.leftEar);
-        drawPolygonMask(CAT_SHAPE.rightEar);
-        drawPolygonMask(CAT_SHAPE.tailPoints);
+    function primitiveToSvg(primitive, fill) {
+        switch (primitive.type) {
+            case 'polygon':
+                return `<polygon points="${primitive.points.map(p => `${round(p.x)},${round(p.y)}`).join(' ')}" fill="${fill}"/>`;
+            case 'ellipse':
+                return `<ellipse cx="${primitive.cx}" cy="${primitive.cy}" rx="${primitive.rx ?? primitive.r}" ry="${primitive.ry ?? primitive.r}" fill="${fill}"/>`;
+            case 'rect':
+                return `<rect x="${primitive.x}" y="${primitive.y}" width="${primitive.width}" height="${primitive.height}" fill="${fill}"/>`;
+            case 'path':
+                return `<path d="${escapeAttribute(primitive.d)}" fill="${fill}"/>`;
+        }
+        return '';
     }
 
-    function drawSharkMask() {
-        drawPolygonMask(SHARK_SHAPE.bodyPoints);
+    /**
+     * Square crop around the added primitives with a little padding
+     */
+    function iconViewBox(primitives) {
+        const bounds = Geometry.getBounds(primitives
+            .filter(p => p.op !== 'subtract')
+            .flatMap(p => toPolygons(p, OUTLINE_TOLERANCE)));
+        const size = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) * 1.1;
+        const cx = (bounds.minX + bounds.maxX) / 2;
+        const cy = (bounds.minY + bounds.maxY) / 2;
+        return [round(cx - size / 2), round(cy - size / 2), round(size), round(size)];
     }
 
-    function drawTreeMask() {
-        maskCtx.fillRect(TREE_SHAPE.trunkLeft, TREE_SHAPE.trunkTop, TREE_SHAPE.trunkRight - TREE_SHAPE.trunkLeft, TREE_SHAPE.trunkBottom - TREE_SHAPE.trunkTop);
-        for (const layer of TREE_SHAPE.foliage) {
-            drawPolygonMask(layer);
+    // ==========================================
+    // OUTLINES
+    // ==========================================
+
+    /**
+     * Outline of a primitive as polygons, for measuring and analysis
+     * @param {Object} primitive - Playable primitive (lines have no outline)
+     * @param {number} tolerance - Rough length of the pieces that replace curves
+     * @returns {Array<Array<{x: number, y: number}>>}
+     */
+    function toPolygons(primitive, tolerance) {
+        switch (primitive.type) {
+            case 'polygon':
+                return [primitive.points.map(p => ({ x: p.x, y: p.y }))];
+
+            case 'rect': {
+                const { x, y, width, height } = primitive;
+                return [[{ x, y }, { x: x + width, y }, { x: x + width, y: y + height }, { x, y: y + height }]];
+            }
+
+            case 'ellipse': {
+                const rx = primitive.rx ?? primitive.r;
+                const ry = primitive.ry ?? primitive.r;
+                const pieces = Math.max(12, Math.min(256, Math.ceil(2 * Math.PI * Math.max(rx, ry) / tolerance)));
+                const points = [];
+                for (let i = 0; i < pieces; i++) {
+                    const angle = (i / pieces) * Math.PI * 2;
+                    points.push({ x: primitive.cx + Math.cos(angle) * rx, y: primitive.cy + Math.sin(angle) * ry });
+                }
+                return [points];
+            }
+
+            case 'path':
+                return Geometry.flattenPath(primitive.d, tolerance);
         }
+        return [];
     }
 
-    function drawPolygonMask(points) {
-        if (points.length < 3) return;
-        maskCtx.beginPath();
-        maskCtx.moveTo(points[0].x, points[0].y);
-        for (let i = 1; i < points.length; i++) {
-            maskCtx.lineTo(points[i].x, points[i].y);
+    /**
+     * Sample the playable area of a shape on a grid, ops and zones included
+     * @param {string|Object} shape - Shape id or definition
+     * @param {number} cellSize - Grid spacing in px
+     * @returns {{columns: number, rows: number, cellSize: number, cells: Uint8Array, filled: number}|null}
+     */
+    function sampleArea(shape, cellSize) {
+        const definition = resolve(shape);
+        if (!definition) return null;
+
+        // Zones take magnets off the board just like holes do
+        const zones = (definition.zones || []).map(zone => ({ ...zone, op: 'subtract' }));
+
+        let area = null;
+        for (const primitive of [...definition.primitives, ...zones]) {
+            const grid = Geometry.rasterize(toPolygons(primitive, cellSize), CANVAS_WIDTH, CANVAS_HEIGHT, cellSize);
+            if (!area) {
+                area = { ...grid, cells: new Uint8Array(grid.cells.length) };
+            }
+            const subtract = primitive.op === 'subtract';
+            for (let i = 0; i < grid.cells.length; i++) {
+                if (grid.cells[i]) area.cells[i] = subtract ? 0 : 1;
+            }
         }
-        maskCtx.closePath();
-        maskCtx.fill();
+
+        area.filled = area.cells.reduce((sum, cell) => sum + cell, 0);
+        return area;
+    }
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function escapeAttribute(text) {
+        return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
     }
 
     // ==========================================
-    // DRAWING FUNCTIONS
+    // VALIDATION (exact geometry)
     // ==========================================
+    const PATH_TOLERANCE = 0.25;      // px - curves in path data are flattened this finely
+    const compiled = new WeakMap();   // definition -> parts, built on first use
 
-    function drawShape(ctx, shapeType) {
-        ctx.save();
+    /**
+     * Whether a point is on the playable area of a shape
+     * Parts apply in order: union adds its area, subtract removes it; zones are never playable
+     * @param {string|Object} shape - Shape id or definition
+     * @param {Object} [transform] - Board transform of a shifting board
+     */
+    function contains(shape, x, y, transform) {
+        const definition = resolve(shape);
+        if (!definition) return false;
 
-        const gradient = ctx.createLinearGradient(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-        gradient.addColorStop(0, 'rgba(99, 102, 241, 0.15)');
-        gradient.addColorStop(1, 'rgba(168, 85, 247, 0.15)');
-        ctx.fillStyle = gradient;
-        ctx.strokeStyle = 'rgba(99, 102, 241, 0.6)';
-        ctx.lineWidth = 3;
-
-        switch (shapeType) {
-            case 'circle': drawCircle(ctx); break;
-            case 'square': drawSquare(ctx); break;
-            case 'rectangle': drawRectangle(ctx); break;
-            case 'triangle': drawTriangle(ctx); break;
-            case 'diamond': drawDiamond(ctx); break;
-            case 'star': drawStar(ctx); break;
-            case 'heart': drawHeart(ctx); break;
-            case 'cat': drawCat(ctx); break;
-            case 'shark': drawShark(ctx); break;
-            case 'tree': drawTree(ctx); break;
+        const point = toShapeSpace(x, y, transform);
+        const { parts, zones } = compile(definition);
+        let inside = false;
+        for (const part of parts) {
+            // A part can only change the answer when it would flip it
+            if (part.subtract === inside && part.contains(point)) {
+                inside = !part.subtract;
+            }
         }
-
-        ctx.restore();
+        return inside && !zones.some(zone => zone.contains(point));
     }
 
-    function drawCircle(ctx) {
-        ctx.beginPath();
-        ctx.arc(CIRCLE_SHAPE.centerX, CIRCLE_SHAPE.centerY, CIRCLE_SHAPE.radius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
-    }
+    /**
+     * Whether a point is in one of the no-go zones of a shape
+     * @param {string|Object} shape - Shape id or definition
+     */
+    function inZone(shape, x, y, transform) {
+        const definition = resolve(shape);
+        if (!definition) return false;
 
-    function drawSquare(ctx) {
-        const half = SQUARE_SHAPE.size / 2;
-        ctx.beginPath();
-        ctx.rect(SQUARE_SHAPE.centerX - half, SQUARE_SHAPE.centerY - half, SQUARE_SHAPE.size, SQUARE_SHAPE.size);
-        ctx.fill();
-        ctx.stroke();
+        const point = toShapeSpace(x, y, transform);
+        return compile(definition).zones.some(zone => zone.contains(point));
     }
 
-    function drawRectangle(ctx) {
-        ctx.beginPath();
-        ctx.rect(
-            RECTANGLE_SHAPE.centerX - RECTANGLE_SHAPE.width / 2,
-            RECTANGLE_SHAPE.centerY - RECTANGLE_SHAPE.height / 2,
-            RECTANGLE_SHAPE.width,
-            RECTANGLE_SHAPE.height
-        );
-        ctx.fill();
-        ctx.stroke();
+    /**
+     * Signed distance from a point to the edge of the playable area: positive inside, negative outside
+     * Exact for shapes made of one part and for points outside unions; where parts overlap or cut
+     * into each other it can come out smaller than the true distance, never larger
+     * @param {string|Object} shape - Shape id or definition
+     * @returns {number} -Infinity for unknown shapes
+     */
+    function distanceToEdge(shape, x, y, transform) {
+        const definition = resolve(shape);
+        if (!definition) return -Infinity;
+
+        const point = toShapeSpace(x, y, transform);
+        const { parts, zones } = compile(definition);
+        let distance = -Infinity;
+        for (const part of [...parts, ...zones]) {
+            const edge = part.distance(point);
+            const signed = part.contains(point) ? edge : -edge;
+            distance = part.subtract ? Math.min(distance, -signed) : Math.max(distance, signed);
+        }
+        return transform ? distance * transform.scale : distance;
     }
 
-    function drawTriangle(ctx) {
-        drawPolygon(ctx, TRIANGLE_SHAPE.points);
+    /**
+     * Undo a board transform: where a board point was before the board turned and shrank
+     */
+    function toShapeSpace(x, y, transform) {
+        if (!transform) return { x, y };
+
+        const angle = -transform.rotation * Math.PI / 180;
+        const dx = (x - CANVAS_WIDTH / 2) / transform.scale;
+        const dy = (y - CANVAS_HEIGHT / 2) / transform.scale;
+        return {
+            x: CANVAS_WIDTH / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+            y: CANVAS_HEIGHT / 2 + dx * Math.sin(angle) + dy * Math.cos(angle),
+        };
     }
 
-    function drawDiamond(ctx) {
-        // Diamond gradient
-        const gradient = ctx.createLinearGradient(200, 60, 600, 540);
-        gradient.addColorStop(0, 'rgba(59, 130, 246, 0.2)');
-        gradient.addColorStop(0.5, 'rgba(139, 92, 246, 0.15)');
-        gradient.addColorStop(1, 'rgba(236, 72, 153, 0.2)');
-        ctx.fillStyle = gradient;
-        ctx.strokeStyle = 'rgba(139, 92, 246, 0.7)';
-        
-        drawPolygon(ctx, DIAMOND_SHAPE.points);
+    /**
+     * Check a point against the active shape (see setActiveShape)
+     * @param {Object} [transform] - Current board transform of a shifting board
+     */
+    function isInsideShape(x, y, transform) {
+        return activeShape ? contains(activeShape, x, y, transform) : false;
     }
 
-    function drawStar(ctx) {
-        // Golden star gradient
-        const gradient = ctx.createRadialGradient(400, 300, 0, 400, 300, 220);
-        gradient.addColorStop(0, 'rgba(251, 191, 36, 0.25)');
-        gradient.addColorStop(1, 'rgba(245, 158, 11, 0.15)');
-        ctx.fillStyle = gradient;
-        ctx.strokeStyle = 'rgba(245, 158, 11, 0.7)';
-        
-        drawPolygon(ctx, STAR_SHAPE.points);
+    /**
+     * Check a point against the no-go zones of the active shape, to explain a refused placement
+     */
+    function isInZone(x, y, transform) {
+        return activeShape ? inZone(activeShape, x, y, transform) : false;
     }
 
-    function drawHeart(ctx) {
-        // Pink/red heart gradient
-        const gradient = ctx.createRadialGradient(400, 300, 0, 400, 300, 200);
-        gradient.addColorStop(0, 'rgba(244, 63, 94, 0.25)');
-        gradient.addColorStop(1, 'rgba(236, 72, 153, 0.15)');
-        ctx.fillStyle = gradient;
-        ctx.strokeStyle = 'rgba(244, 63, 94, 0.7)';
-        
-        drawPolygon(ctx, HEART_SHAPE.points);
+    /**
+     * @returns {{parts: Array<Object>, zones: Array<Object>}} Zones act as subtracted parts
+     */
+    function compile(definition) {
+        let result = compiled.get(definition);
+        if (!result) {
+            result = {
+                parts: definition.primitives.map(compilePrimitive),
+                zones: (definition.zones || []).map(zone => compilePrimitive({ ...zone, op: 'subtract' })),
+            };
+            compiled.set(definition, result);
+        }
+        return result;
     }
 
-    function drawCat(ctx) {
-        // Body
-        ctx.beginPath();
-        ctx.ellipse(CAT_SHAPE.bodyCenter.x, CAT_SHAPE.bodyCenter.y, CAT_SHAPE.bodyRadiusX, CAT_SHAPE.bodyRadiusY, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
+    /**
+     * Containment test and unsigned edge distance of one primitive
+     * Ellipses and rectangles use their equations; polygons and paths use their outline
+     */
+    function compilePrimitive(primitive) {
+        const subtract = primitive.op === 'subtract';
 
-        // Head
-        ctx.beginPath();
-        ctx.arc(CAT_SHAPE.headCenter.x, CAT_SHAPE.headCenter.y, CAT_SHAPE.headRadius, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.stroke();
+        switch (primitive.type) {
+            case 'ellipse': {
+                const { cx, cy } = primitive;
+                const rx = primitive.rx ?? primitive.r;
+                const ry = primitive.ry ?? primitive.r;
+                return {
+                    subtract,
+                    contains: (p) => ((p.x - cx) / rx) ** 2 + ((p.y - cy) / ry) ** 2 <= 1,
+                    distance: (p) => Geometry.distanceToEllipse(p, cx, cy, rx, ry),
+                };
+            }
 
-        // Ears
-        drawPolygon(ctx, CAT_SHAPE.leftEar);
-        drawPolygon(ctx, CAT_SHAPE.rightEar);
-        drawPolygon(ctx, CAT_SHAPE.tailPoints);
+            case 'rect': {
+                const { x, y, width, height } = primitive;
+                const right = x + width;
+                const bottom = y + height;
+                return {
+                    subtract,
+                    contains: (p) => p.x >= x && p.x <= right && p.y >= y && p.y <= bottom,
+                    distance: (p) => {
+                        const outsideX = Math.max(x - p.x, 0, p.x - right);
+                        const outsideY = Math.max(y - p.y, 0, p.y - bottom);
+                        if (outsideX > 0 || outsideY > 0) return Math.hypot(outsideX, outsideY);
+                        return Math.min(p.x - x, right - p.x, p.y - y, bottom - p.y);
+                    },
+                };
+            }
 
-        // Face
-        drawCatFace(ctx);
+            default: {
+                const polygons = toPolygons(primitive, PATH_TOLERANCE);
+                const bounds = Geometry.getBounds(polygons);
+                return {
+                    subtract,
+                    contains: (p) => p.x >= bounds.minX && p.x <= bounds.maxX
+                        && p.y >= bounds.minY && p.y <= bounds.maxY
+                        && Geometry.containsPoint(polygons, p),
+                    distance: (p) => Geometry.distanceToPolygons(polygons, p),
+                };
+            }
+        }
     }
 
-    function drawCatFace(ctx) {
-        const hx = CAT_SHAPE.headCenter.x;
-        const hy = CAT_SHAPE.headCenter.y;
+    // ==========================================
+    // METRICS
+    // ==========================================
+    const METRICS_GRID = 8;          // px - distance field spacing for width and capacity
+    const PERIMETER_STEP = 4;        // px - outline pieces checked against the final shape
+    const DIFFICULTY_LABELS = ['Easy', 'Medium', 'Tricky', 'Hard', 'Brutal'];
+    const CAPACITY_STEPS = [40, 30, 25, 18]; // Each one the capacity falls below adds a difficulty level
+    const metricsCache = new WeakMap(); // definition -> metrics
 
-        ctx.save();
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.strokeStyle = 'rgba(99, 102, 241, 0.8)';
-        ctx.lineWidth = 2;
+    /**
+     * Measure a shape to tell players how hard it is
+     *   area, perimeter        px² and px of the playable area (holes and zones removed)
+     *   narrowestWidth         px across the tightest passage (or the whole shape when it has none)
+     *   capacity               magnets that fit far enough apart that no placement pulls two together
+     *   difficulty             1 (easy) to 5, with difficultyLabel
+     * Uses Game's magnet constants and Physics, so call it once the scripts are loaded
+     * @param {string|Object} shape - Shape id or definition
+     * @returns {Object|null} Metrics, null for unknown shapes
+     */
+    function getMetrics(shape) {
+        const definition = resolve(shape);
+        if (!definition) return null;
 
-        // Eyes
-        ctx.beginPath();
-        ctx.ellipse(hx - 25, hy - 5, 12, 16, 0, 0, Math.PI * 2);
-        ctx.fill(); ctx.stroke();
-        ctx.beginPath();
-        ctx.ellipse(hx + 25, hy - 5, 12, 16, 0, 0, Math.PI * 2);
-        ctx.fill(); ctx.stroke();
+        let metrics = metricsCache.get(definition);
+        if (!metrics) {
+            metrics = measure(definition);
+            metricsCache.set(definition, metrics);
+        }
+        return metrics;
+    }
 
-        // Pupils
-        ctx.fillStyle = 'rgba(30, 30, 60, 0.9)';
-        ctx.beginPath();
-        ctx.ellipse(hx - 25, hy - 5, 4, 10, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(hx + 25, hy - 5, 4, 10, 0, 0, Math.PI * 2);
-        ctx.fill();
+    /**
+     * Metrics measured earlier, without measuring now
+     * @returns {Object|null} Metrics, null when not measured yet
+     */
+    function peekMetrics(shape) {
+        const definition = resolve(shape);
+        return (definition && metricsCache.get(definition)) || null;
+    }
 
-        // Nose
-        ctx.fillStyle = 'rgba(244, 63, 94, 0.8)';
-        ctx.beginPath();
-        ctx.moveTo(hx, hy + 15);
-        ctx.lineTo(hx - 8, hy + 25);
-        ctx.lineTo(hx + 8, hy + 25);
-        ctx.closePath();
-        ctx.fill();
+    function measure(definition) {
+        const area = sampleArea(definition, 4);
+        const field = distanceField(definition);
+        const capacity = countCapacity(field);
+        const narrowestWidth = findNarrowestWidth(field);
 
-        ctx.restore();
+        // Fewer safe spots make a board harder; passages narrower than the attraction range even more so
+        let difficulty = 1 + CAPACITY_STEPS.filter(step => capacity < step).length;
+        if (narrowestWidth < Game.ATTRACTION_RANGE) difficulty = Math.min(5, difficulty + 1);
+
+        return {
+            area: area.filled * area.cellSize * area.cellSize,
+            perimeter: Math.round(measurePerimeter(definition)),
+            narrowestWidth: Math.round(narrowestWidth),
+            capacity,
+            difficulty,
+            difficultyLabel: DIFFICULTY_LABELS[difficulty - 1],
+        };
     }
 
-    function drawShark(ctx) {
-        drawPolygon(ctx, SHARK_SHAPE.bodyPoints);
-        
-        ctx.save();
-        // Eye
-        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        ctx.beginPath();
-        ctx.arc(220, 285, 10, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = 'rgba(30, 30, 60, 0.9)';
-        ctx.beginPath();
-        ctx.arc(222, 285, 5, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Gills
-        ctx.strokeStyle = 'rgba(99, 102, 241, 0.5)';
-        ctx.lineWidth = 2;
-        for (let i = 0; i < 3; i++) {
-            ctx.beginPath();
-            ctx.moveTo(280 + i * 20, 280);
-            ctx.lineTo(275 + i * 20, 320);
-            ctx.stroke();
+    /**
+     * Signed edge distance at the center of every grid cell
+     */
+    function distanceField(definition) {
+        const columns = Math.ceil(CANVAS_WIDTH / METRICS_GRID);
+        const rows = Math.ceil(CANVAS_HEIGHT / METRICS_GRID);
+        const values = new Float32Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = (column + 0.5) * METRICS_GRID;
+                const y = (row + 0.5) * METRICS_GRID;
+                values[row * columns + column] = distanceToEdge(definition, x, y);
+            }
         }
-        ctx.restore();
+        return { columns, rows, values };
     }
 
-    function drawTree(ctx) {
-        // Foliage
-        const foliageGradient = ctx.createLinearGradient(0, 50, 0, 300);
-        foliageGradient.addColorStop(0, 'rgba(34, 197, 94, 0.3)');
-        foliageGradient.addColorStop(1, 'rgba(22, 163, 74, 0.2)');
-        ctx.fillStyle = foliageGradient;
-        ctx.strokeStyle = 'rgba(34, 197, 94, 0.7)';
+    /**
+     * Count the outline pieces that still separate board from off-board once every op is applied
+     */
+    function measurePerimeter(definition) {
+        const outlines = [...definition.primitives, ...(definition.zones || [])]
+            .flatMap(primitive => toPolygons(primitive, PERIMETER_STEP / 2));
+
+        let perimeter = 0;
+        for (const polygon of outlines) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[j];
+                const b = polygon[i];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length === 0) continue;
 
-        for (const layer of TREE_SHAPE.foliage) {
-            drawPolygon(ctx, layer);
+                const pieces = Math.ceil(length / PERIMETER_STEP);
+                const nx = -(b.y - a.y) / length;
+                const ny = (b.x - a.x) / length;
+                for (let k = 0; k < pieces; k++) {
+                    const t = (k + 0.5) / pieces;
+                    const x = a.x + (b.x - a.x) * t;
+                    const y = a.y + (b.y - a.y) * t;
+                    if (contains(definition, x + nx, y + ny) !== contains(definition, x - nx, y - ny)) {
+                        perimeter += length / pieces;
+                    }
+                }
+            }
         }
+        return perimeter;
+    }
 
-        // Trunk
-        const trunkGradient = ctx.createLinearGradient(TREE_SHAPE.trunkLeft, 0, TREE_SHAPE.trunkRight, 0);
-        trunkGradient.addColorStop(0, 'rgba(139, 90, 43, 0.4)');
-        trunkGradient.addColorStop(0.5, 'rgba(160, 110, 60, 0.4)');
-        trunkGradient.addColorStop(1, 'rgba(139, 90, 43, 0.4)');
-        ctx.fillStyle = trunkGradient;
-        ctx.strokeStyle = 'rgba(139, 90, 43, 0.7)';
+    /**
+     * Narrowest passage: the lowest saddle of the distance field, i.e. a cell that is a ridge across
+     * one direction and a dip along the other. Shapes without passages report their thickest point.
+     * Passages too thin to hold a magnet are left out, nothing can be placed there anyway.
+     */
+    function findNarrowestWidth({ columns, rows, values }) {
+        const at = (column, row) => (column < 0 || row < 0 || column >= columns || row >= rows)
+            ? -Infinity
+            : values[row * columns + column];
+        const DIRECTION_PAIRS = [[[1, 0], [0, 1]], [[1, 1], [1, -1]]];
 
-        ctx.beginPath();
-        ctx.rect(TREE_SHAPE.trunkLeft, TREE_SHAPE.trunkTop, TREE_SHAPE.trunkRight - TREE_SHAPE.trunkLeft, TREE_SHAPE.trunkBottom - TREE_SHAPE.trunkTop);
-        ctx.fill();
-        ctx.stroke();
-    }
+        let thickest = 0;
+        let narrowest = Infinity;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const d = at(column, row);
+                thickest = Math.max(thickest, d);
+                if (d < Game.MAGNET_RADIUS || d >= narrowest) continue;
 
-    function drawPolygon(ctx, points) {
-        if (points.length < 3) return;
-        ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
-        for (let i = 1; i < points.length; i++) {
-            ctx.lineTo(points[i].x, points[i].y);
+                const isRidge = ([dx, dy]) => d >= at(column + dx, row + dy) && d >= at(column - dx, row - dy);
+                const isDip = ([dx, dy]) => d <= at(column + dx, row + dy) && d <= at(column - dx, row - dy);
+                const saddle = DIRECTION_PAIRS.some(([first, second]) =>
+                    (isRidge(first) && isDip(second)) || (isRidge(second) && isDip(first)));
+                if (saddle) narrowest = d;
+            }
         }
-        ctx.closePath();
-        ctx.fill();
-        ctx.stroke();
+        return 2 * Math.min(narrowest, thickest);
     }
 
-    // ==========================================
-    // VALIDATION
-    // ==========================================
+    /**
+     * Greedily place magnets on the board, each at least the safe spacing from the others
+     */
+    function countCapacity({ columns, rows, values }) {
+        const spacing = getSafeSpacing();
+        const placed = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (values[row * columns + column] <= 0) continue;
 
-    function isInsideShape(x, y) {
-        if (!maskCtx) return false;
-        const pixel = maskCtx.getImageData(Math.floor(x), Math.floor(y), 1, 1).data;
-        return pixel[0] > 128;
+                const x = (column + 0.5) * METRICS_GRID;
+                const y = (row + 0.5) * METRICS_GRID;
+                if (placed.every(p => Math.hypot(p.x - x, p.y - y) >= spacing)) {
+                    placed.push({ x, y });
+                }
+            }
+        }
+        return placed.length;
     }
 
+    /**
+     * Closest two magnets can be without the second pulling them within CLUMP_THRESHOLD
+     */
+    function getSafeSpacing() {
+        for (let distance = Game.CLUMP_THRESHOLD + 1; distance < Game.ATTRACTION_RANGE; distance++) {
+            const magnets = [{ id: 'a', position: { x: 0, y: 0 } }];
+            if (Physics.simulatePlacement(magnets, { x: distance, y: 0 }, 'b').clumpedIds.length === 0) {
+                return distance;
+            }
+        }
+        return Game.ATTRACTION_RANGE;
+    }
+
+    /**
+     * Convert a pointer position to board coordinates, whatever size or resolution the canvas has
+     */
     function getScaledCoordinates(canvas, clientX, clientY) {
+        // Measure the content box: the border is not part of the board
         const rect = canvas.getBoundingClientRect();
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
+        const left = rect.left + (canvas.clientLeft || 0);
+        const top = rect.top + (canvas.clientTop || 0);
+        const width = canvas.clientWidth || rect.width;
+        const height = canvas.clientHeight || rect.height;
         return {
-            x: (clientX - rect.left) * scaleX,
-            y: (clientY - rect.top) * scaleY
+            x: (clientX - left) * CANVAS_WIDTH / width,
+            y: (clientY - top) * CANVAS_HEIGHT / height,
         };
     }
 
@@ -501,22 +1099,27 @@ const Shapes = (function() {
     return {
         CANVAS_WIDTH,
         CANVAS_HEIGHT,
-        initMaskCanvas,
-        generateMask,
+        register,
+        get,
+        has,
+        list,
+        addGenerator,
+        validate: checkDefinition,
+        on: emitter.on,
+        off: emitter.off,
+        setActiveShape,
         drawShape,
+        createIcon,
+        toPolygons,
+        sampleArea,
+        contains,
+        inZone,
+        distanceToEdge,
+        getMetrics,
+        peekMetrics,
+        DIFFICULTY_LABELS,
         isInsideShape,
+        isInZone,
         getScaledCoordinates,
-        shapes: {
-            circle: CIRCLE_SHAPE,
-            square: SQUARE_SHAPE,
-            rectangle: RECTANGLE_SHAPE,
-            triangle: TRIANGLE_SHAPE,
-            diamond: DIAMOND_SHAPE,
-            star: STAR_SHAPE,
-            heart: HEART_SHAPE,
-            cat: CAT_SHAPE,
-            shark: SHARK_SHAPE,
-            tree: TREE_SHAPE,
-        }
     };
 })();
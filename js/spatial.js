@@ -0,0 +1,129 @@
+/**
+ * ==========================================
+ * SPATIAL MODULE
+ * ==========================================
+ * Uniform grid for finding nearby magnets without comparing every pair.
+ * With the cell size set to the largest distance asked about, a point only
+ * has neighbours in its own cell and the eight around it, so pair searches
+ * grow with the number of close pairs instead of the square of all magnets.
+ */
+
+const Spatial = (function() {
+    // Cell coordinates are packed into one number, for cells within +-OFFSET of the origin
+    const OFFSET = 32768;
+    const SPAN = 65536;
+
+    // Forward neighbours: each pair of adjacent cells is visited from one side only
+    const FORWARD_NEIGHBOURS = [[1, 0], [-1, 1], [0, 1], [1, 1]];
+
+    /**
+     * Create an empty grid
+     * @param {number} cellSize - px, at least the largest range used with forEachPair
+     * @returns {{clear: Function, insert: Function, build: Function, query: Function, forEachPair: Function, size: Function}}
+     */
+    function createGrid(cellSize) {
+        const cells = new Map(); // packed cell -> Array<{ item, x, y }>
+        let count = 0;
+
+        function clear() {
+            cells.clear();
+            count = 0;
+        }
+
+        function insert(item, x, y) {
+            const key = cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize));
+            let cell = cells.get(key);
+            if (!cell) {
+                cell = [];
+                cells.set(key, cell);
+            }
+            cell.push({ item, x, y });
+            count++;
+        }
+
+        /**
+         * Replace the contents with a list of items
+         * @param {Array} items
+         * @param {Function} getPosition - item -> { x, y }
+         */
+        function build(items, getPosition) {
+            clear();
+            for (const item of items) {
+                const { x, y } = getPosition(item);
+                insert(item, x, y);
+            }
+        }
+
+        /**
+         * Call back for every item within range of a point
+         * @param {Function} callback - (item, distance)
+         */
+        function query(x, y, range, callback) {
+            const reach = Math.ceil(range / cellSize);
+            const col = Math.floor(x / cellSize);
+            const row = Math.floor(y / cellSize);
+
+            for (let dy = -reach; dy <= reach; dy++) {
+                for (let dx = -reach; dx <= reach; dx++) {
+                    const cell = cells.get(cellKey(col + dx, row + dy));
+                    if (!cell) continue;
+                    for (const entry of cell) {
+                        const distance = Math.hypot(entry.x - x, entry.y - y);
+                        if (distance <= range) callback(entry.item, distance);
+                    }
+                }
+            }
+        }
+
+        /**
+         * Call back once for every pair of items within range of each other
+         * @param {number} range - px, no larger than the cell size
+         * @param {Function} callback - (itemA, itemB, distance)
+         */
+        function forEachPair(range, callback) {
+            for (const [key, cell] of cells) {
+                // Pairs inside the cell
+                for (let i = 0; i < cell.length; i++) {
+                    for (let j = i + 1; j < cell.length; j++) {
+                        visitPair(cell[i], cell[j], range, callback);
+                    }
+                }
+
+                // Pairs with the neighbouring cells
+                const col = Math.floor(key / SPAN) - OFFSET;
+                const row = (key % SPAN) - OFFSET;
+                for (const [dx, dy] of FORWARD_NEIGHBOURS) {
+                    const other = cells.get(cellKey(col + dx, row + dy));
+                    if (!other) continue;
+                    for (const a of cell) {
+                        for (const b of other) visitPair(a, b, range, callback);
+                    }
+                }
+            }
+        }
+
+        function size() {
+            return count;
+        }
+
+        return { clear, insert, build, query, forEachPair, size };
+    }
+
+    function visitPair(a, b, range, callback) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const squared = dx * dx + dy * dy;
+        if (squared <= range * range) callback(a.item, b.item, Math.sqrt(squared));
+    }
+
+    function cellKey(col, row) {
+        return (col + OFFSET) * SPAN + (row + OFFSET);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        createGrid,
+    };
+})();
@@ -0,0 +1,217 @@
+/**
+ * ==========================================
+ * STATE STORE MODULE
+ * ==========================================
+ * Client-side copy of the authoritative game state
+ * Applies full snapshots and sequence-numbered deltas from the server,
+ * and asks for a fresh snapshot when a delta goes missing
+ */
+
+const StateStore = (function() {
+    // ==========================================
+    // STATE
+    // ==========================================
+    let state = null;
+    let seq = null;          // Sequence number of the last applied message
+    let resyncing = false;   // Waiting for STATE_SNAPSHOT after a gap
+    let held = [];           // Deltas received while resyncing
+
+    const emitter = Events.createEmitter();
+
+    // Legacy servers send TURN_CHANGED without gameState or changes
+    const LEGACY_DELTAS = {
+        TURN_CHANGED: (message) => [{ op: 'turnChanged', currentTurnPlayerId: message.currentTurnPlayerId }],
+    };
+
+    // ==========================================
+    // INGESTION
+    // ==========================================
+
+    /**
+     * Does this message carry game state (snapshot or delta)?
+     */
+    function affectsState(message) {
+        return Boolean(message.gameState || message.changes || LEGACY_DELTAS[message.type]);
+    }
+
+    /**
+     * Apply a server message to the store
+     * @param {Object} message - Validated server message
+     * @returns {Object|null} Copy of the resulting gameState, or null when the message was
+     *   stale or is being held back until a resync completes
+     */
+    function ingest(message) {
+        if (message.gameState) {
+            return applySnapshot(message);
+        }
+
+        const changes = message.changes || (LEGACY_DELTAS[message.type] && LEGACY_DELTAS[message.type](message));
+        if (!changes || !state) return null;
+
+        // Unsequenced deltas (legacy servers) apply as they come
+        if (typeof message.seq !== 'number' || seq === null) {
+            applyChanges(changes);
+            return getState();
+        }
+
+        if (resyncing) {
+            held.push(message);
+            return null;
+        }
+
+        if (message.seq <= seq) {
+            console.warn(`[Store] Ignoring stale delta #${message.seq} (at #${seq})`);
+            return null;
+        }
+
+        if (message.seq !== seq + 1) {
+            console.warn(`[Store] Missed deltas #${seq + 1}-#${message.seq - 1} - requesting snapshot`);
+            resyncing = true;
+            held = [message];
+            emitter.emit('gap', { expected: seq + 1, received: message.seq });
+            return null;
+        }
+
+        applyChanges(changes);
+        seq = message.seq;
+        return getState();
+    }
+
+    /**
+     * Compare against the latest sequence number the server reports (e.g. on heartbeats),
+     * which catches a lost delta even when no later delta arrives to reveal the hole
+     */
+    function checkSeq(latestSeq) {
+        if (seq === null || resyncing || latestSeq <= seq) return;
+
+        console.warn(`[Store] Behind the server (#${seq} < #${latestSeq}) - requesting snapshot`);
+        resyncing = true;
+        held = [];
+        emitter.emit('gap', { expected: seq + 1, received: latestSeq });
+    }
+
+    function applySnapshot(message) {
+        state = clone(message.gameState);
+        seq = typeof message.seq === 'number' ? message.seq : null;
+
+        // Any snapshot ends a resync, whether we asked for it or it came with a resume
+        if (resyncing) {
+            resyncing = false;
+
+            // Without a sequence number there is no telling which held deltas the snapshot already has
+            if (seq === null) {
+                console.warn(`[Store] Snapshot has no sequence number - dropping ${held.length} held deltas`);
+                held = [];
+                return getState();
+            }
+
+            // Deltas that arrived after the snapshot was taken still apply
+            const pending = held.filter(m => m.seq > seq).sort((a, b) => a.seq - b.seq);
+            held = [];
+            for (const delta of pending) {
+                if (delta.seq !== seq + 1) break; // Still a hole - the next delta will trigger another resync
+                applyChanges(delta.changes);
+                seq = delta.seq;
+            }
+        }
+
+        return getState();
+    }
+
+    // ==========================================
+    // DELTA OPERATIONS
+    // ==========================================
+
+    function applyChanges(changes) {
+        for (const change of changes) {
+            switch (change.op) {
+                case 'magnetAdded':
+                    state.magnets.push(clone(change.magnet));
+                    break;
+
+                case 'magnetsMoved':
+                    for (const movement of change.movements) {
+                        const magnet = state.magnets.find(m => m.id === movement.magnetId);
+                        if (magnet) magnet.position = { ...movement.toPosition };
+                    }
+                    break;
+
+                case 'magnetsRemoved': {
+                    const removed = new Set(change.magnetIds);
+                    state.magnets = state.magnets.filter(m => !removed.has(m.id));
+                    break;
+                }
+
+                case 'turnChanged':
+                    state.currentTurnPlayerId = change.currentTurnPlayerId;
+                    break;
+
+                case 'playerAdded':
+                    state.players.push(clone(change.player));
+                    break;
+
+                case 'playerRemoved':
+                    state.players = state.players.filter(p => p.id !== change.playerId);
+                    break;
+
+                case 'playerUpdated': {
+                    const player = state.players.find(p => p.id === change.player.id);
+                    if (player) Object.assign(player, change.player);
+                    break;
+                }
+
+                case 'sessionUpdated':
+                    Object.assign(state, change.fields);
+                    break;
+
+                default:
+                    console.warn('[Store] Unknown change op:', change.op);
+            }
+        }
+    }
+
+    // ==========================================
+    // ACCESSORS
+    // ==========================================
+
+    /**
+     * @returns {Object|null} Deep copy of the current state (safe to mutate, e.g. for animation)
+     */
+    function getState() {
+        return state ? clone(state) : null;
+    }
+
+    function getSeq() {
+        return seq;
+    }
+
+    function isResyncing() {
+        return resyncing;
+    }
+
+    function reset() {
+        state = null;
+        seq = null;
+        resyncing = false;
+        held = [];
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        affectsState,
+        ingest,
+        checkSeq,
+        getState,
+        getSeq,
+        isResyncing,
+        reset,
+        on: emitter.on,
+        off: emitter.off,
+    };
+})();
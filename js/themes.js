@@ -0,0 +1,231 @@
+/**
+ * ==========================================
+ * THEMES MODULE
+ * ==========================================
+ * Visual themes for the board and the page. Shapes only describe geometry
+ * (and their own colors for the classic look); a theme supplies everything
+ * else that is drawn on the canvas:
+ *
+ *   {
+ *     id, name,
+ *     grid: color,                       // Background grid lines
+ *     board: { fill, stroke, lineWidth } | null,   // Replaces the shapes' own colors, null keeps them
+ *     zone: { fill, hatch, stroke } | null,        // No-go zones, null keeps the default red
+ *     magnets: ['#rrggbb', ...],         // One per player color, hex so it can be shaded
+ *     ownMarker: color,                  // Ring around your own magnets
+ *     attraction: 'r, g, b',             // Attraction lines, alpha follows the pull
+ *     clump: 'r, g, b',                  // Touching magnets
+ *   }
+ *
+ * The page follows through CSS variables: the theme id is set as data-theme on <html>.
+ * The choice is kept in localStorage.
+ */
+
+const Themes = (function() {
+    // ==========================================
+    // CONFIGURATION
+    // ==========================================
+    const STORAGE_KEY = 'magnetShapes.theme';
+    const DEFAULT_THEME = 'classic';
+
+    const THEMES = [
+        {
+            id: 'classic',
+            name: 'Classic',
+            grid: 'rgba(99, 102, 241, 0.05)',
+            board: null,
+            zone: null,
+            magnets: ['#f43f5e', '#3b82f6', '#22c55e', '#f59e0b'],
+            ownMarker: 'rgba(255, 255, 255, 0.5)',
+            attraction: '99, 102, 241',
+            clump: '244, 63, 94',
+        },
+        {
+            id: 'neon',
+            name: 'Neon',
+            grid: 'rgba(34, 211, 238, 0.08)',
+            board: {
+                fill: { radial: [400, 300, 0, 400, 300, 320], stops: [[0, 'rgba(34, 211, 238, 0.12)'], [1, 'rgba(232, 121, 249, 0.12)']] },
+                stroke: '#22d3ee',
+            },
+            zone: {
+                fill: 'rgba(250, 204, 21, 0.08)',
+                hatch: 'rgba(250, 204, 21, 0.5)',
+                stroke: '#facc15',
+            },
+            magnets: ['#ff2e88', '#22d3ee', '#a3ff12', '#ffb800'],
+            ownMarker: 'rgba(255, 255, 255, 0.7)',
+            attraction: '34, 211, 238',
+            clump: '255, 46, 136',
+        },
+        {
+            id: 'pastel',
+            name: 'Pastel',
+            grid: 'rgba(167, 139, 250, 0.12)',
+            board: {
+                fill: 'rgba(196, 181, 253, 0.25)',
+                stroke: 'rgba(139, 92, 246, 0.6)',
+            },
+            zone: {
+                fill: 'rgba(249, 168, 212, 0.15)',
+                hatch: 'rgba(236, 72, 153, 0.4)',
+                stroke: 'rgba(236, 72, 153, 0.6)',
+            },
+            magnets: ['#f48fb1', '#81a4f0', '#7fd6a4', '#f6c177'],
+            ownMarker: 'rgba(75, 63, 92, 0.5)',
+            attraction: '139, 92, 246',
+            clump: '236, 72, 153',
+        },
+        {
+            id: 'high-contrast',
+            name: 'High contrast',
+            grid: 'rgba(255, 255, 255, 0.12)',
+            board: {
+                fill: 'rgba(255, 255, 255, 0.1)',
+                stroke: '#ffffff',
+                lineWidth: 4,
+            },
+            zone: {
+                fill: 'rgba(255, 212, 0, 0.15)',
+                hatch: '#ffd400',
+                stroke: '#ffd400',
+            },
+            magnets: ['#ff3b3b', '#3b9cff', '#00e05a', '#ffd400'],
+            ownMarker: '#ffffff',
+            attraction: '255, 255, 255',
+            clump: '255, 59, 59',
+        },
+        {
+            id: 'print',
+            name: 'Print friendly',
+            grid: 'rgba(0, 0, 0, 0.08)',
+            board: {
+                fill: '#ffffff',
+                stroke: '#111827',
+            },
+            zone: {
+                fill: 'rgba(0, 0, 0, 0.05)',
+                hatch: 'rgba(0, 0, 0, 0.5)',
+                stroke: '#111827',
+            },
+            magnets: ['#b91c1c', '#1d4ed8', '#15803d', '#a16207'],
+            ownMarker: 'rgba(0, 0, 0, 0.6)',
+            attraction: '17, 24, 39',
+            clump: '185, 28, 28',
+        },
+    ];
+
+    // ==========================================
+    // STATE
+    // ==========================================
+    let current = THEMES[0];
+    let elements = null;
+    const emitter = Events.createEmitter();
+
+    // ==========================================
+    // INITIALIZATION
+    // ==========================================
+
+    /**
+     * Apply the stored theme and wire up the settings menu
+     */
+    function init() {
+        elements = {
+            settingsBtn: document.getElementById('settingsBtn'),
+            settingsMenu: document.getElementById('settingsMenu'),
+            themeSelect: document.getElementById('themeSelect'),
+        };
+
+        elements.themeSelect.innerHTML = THEMES
+            .map(theme => `<option value="${theme.id}">${theme.name}</option>`)
+            .join('');
+
+        apply(readStoredTheme() || DEFAULT_THEME);
+        setupEventListeners();
+    }
+
+    function setupEventListeners() {
+        elements.settingsBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setMenuOpen(elements.settingsMenu.classList.contains('hidden'));
+        });
+
+        elements.themeSelect.addEventListener('change', () => {
+            apply(elements.themeSelect.value);
+            storeTheme(current.id);
+        });
+
+        // Close the menu on any click outside it
+        document.addEventListener('click', (e) => {
+            if (!elements.settingsMenu.contains(e.target)) setMenuOpen(false);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') setMenuOpen(false);
+        });
+    }
+
+    function setMenuOpen(open) {
+        elements.settingsMenu.classList.toggle('hidden', !open);
+        elements.settingsBtn.setAttribute('aria-expanded', String(open));
+    }
+
+    // ==========================================
+    // THEME SELECTION
+    // ==========================================
+
+    /**
+     * Switch theme; the canvas redraws through the 'changed' event
+     * @param {string} id - Theme id, unknown ids fall back to the default theme
+     */
+    function apply(id) {
+        current = get(id) || get(DEFAULT_THEME);
+        document.documentElement.dataset.theme = current.id;
+        if (elements) elements.themeSelect.value = current.id;
+        emitter.emit('changed', current);
+    }
+
+    function get(id) {
+        return THEMES.find(theme => theme.id === id) || null;
+    }
+
+    function getCurrent() {
+        return current;
+    }
+
+    function list() {
+        return THEMES.map(({ id, name }) => ({ id, name }));
+    }
+
+    // ==========================================
+    // STORAGE
+    // ==========================================
+
+    function readStoredTheme() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function storeTheme(id) {
+        try {
+            localStorage.setItem(STORAGE_KEY, id);
+        } catch (error) {
+            console.warn('[Themes] Could not store the theme:', error.message);
+        }
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+    return {
+        init,
+        apply,
+        get,
+        getCurrent,
+        list,
+        on: emitter.on,
+        off: emitter.off,
+    };
+})();
@@ -13,20 +13,63 @@ const WebSocketClient = (function() {
     let socket = null;
     let isConnected = false;
     let reconnectAttempts = 0;
-    const MAX_RECONNECT_ATTEMPTS = 5;
-    const RECONNECT_DELAY = 2000;
+    let reconnectTimer = null;
+    let retryAt = null;              // Timestamp of the next scheduled attempt
+    let waitingForNetwork = false;   // Paused until the browser reports 'online'
+    let manualDisconnect = false;
+    let activeSession = null;        // { sessionId, playerId, rejoinToken } kept to reclaim our seat after a drop
+    let resuming = false;            // Reclaiming that seat on a fresh connection
+
+    // Protocol handshake - HELLO must be answered with a compatible WELCOME
+    const CLIENT_NAME = 'magnet-shapes-web';
+    const HANDSHAKE_TIMEOUT = 5000; // ms
+    let serverFeatures = [];
+    const reportedMismatches = new Set(); // Legacy mode and unknown types are reported once per page
+
+    // Requests awaiting a server reply
+    const REQUEST_TIMEOUT = 10000; // ms
+    const pendingRequests = new Map(); // requestId -> { type, expect, resolve, reject, timer }
+    let nextRequestId = 1;
+
+    // Replies that reject the request they answer
+    const ERROR_REPLIES = ['ERROR', 'PLACEMENT_INVALID', 'RESUME_FAILED'];
+
+    // Heartbeat - detects dead sockets long before the browser does
+    const HEARTBEAT_INTERVAL = 5000;   // ms between pings
+    const HEARTBEAT_TIMEOUT = 4000;    // ms to wait for the matching pong
+    let heartbeatTimer = null;
+    let pongTimer = null;
+    let nextPingId = 1;
+    const pendingPings = new Map();    // pingId -> sent timestamp
+
+    // Latency stats (smoothed round-trip time and its variation)
+    const latency = { rtt: null, jitter: 0, lastSample: null };
+
+    // Keep heartbeat traffic out of the console
+    const QUIET_TYPES = ['PING', 'PONG'];
+
+    // Reconnection backoff - overridable through MAGNET_SHAPES_CONFIG.reconnect
+    // Defaults keep retrying well past a Render cold start (~1 minute)
+    const DEFAULT_RECONNECT_POLICY = {
+        initialDelay: 1000,   // ms before the first retry
+        maxDelay: 30000,      // ms cap for any single wait
+        multiplier: 2,        // Growth factor per failed attempt
+        jitter: 0.3,          // Randomize each wait by +/- 30% to avoid thundering herds
+        maxAttempts: Infinity,
+    };
 
     // Server URL - change this for production
     // Note: Render.com proxies through port 443, so no port needed
     const SERVER_URL = 'wss://magnet-shapes-server.onrender.com';
 
-    // Event handlers
-    const handlers = {
-        onConnect: null,
-        onDisconnect: null,
-        onError: null,
-        onMessage: null,
-    };
+    // Transport selection - read once at load, before main.js cleans up the URL
+    const config = resolveConfig();
+
+    // Event subscribers - lifecycle events (connect, disconnect, ...) and server message types
+    const emitter = Events.createEmitter();
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
 
     // ==========================================
     // CONNECTION MANAGEMENT
@@ -37,15 +80,18 @@ const WebSocketClient = (function() {
      * Automatically handles reconnection attempts
      */
     function connect() {
-        if (socket && socket.readyState === WebSocket.OPEN) {
+        if (socket && (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING)) {
             console.log('[WS] Already connected');
             return;
         }
 
-        console.log('[WS] Connecting to', SERVER_URL);
+        manualDisconnect = false;
+        clearReconnectTimer();
+
+        console.log('[WS] Connecting to', config.transport === 'local' ? 'local engine' : config.serverUrl);
 
         try {
-            socket = new WebSocket(SERVER_URL);
+            socket = createSocket();
 
             socket.onopen = handleOpen;
             socket.onclose = handleClose;
@@ -57,11 +103,46 @@ const WebSocketClient = (function() {
         }
     }
 
+    /**
+     * Create the underlying socket for the configured transport
+     * The local engine returns an object with the same surface as WebSocket
+     */
+    function createSocket() {
+        if (config.transport === 'local') {
+            LocalServer.configure({ bots: config.localBots, dropRate: config.localDropRate });
+            return LocalServer.createSocket();
+        }
+        return new WebSocket(config.serverUrl);
+    }
+
+    /**
+     * Resolve connection settings
+     * window.MAGNET_SHAPES_CONFIG = { transport: 'local' | 'websocket', serverUrl, localBots, localDropRate }
+     * URL parameters take precedence: ?server=local&bots=1&drop=0.1
+     */
+    function resolveConfig() {
+        const overrides = window.MAGNET_SHAPES_CONFIG || {};
+        const params = new URLSearchParams(window.location.search);
+        const bots = params.has('bots') ? Number(params.get('bots')) : overrides.localBots;
+        const dropRate = params.has('drop') ? Number(params.get('drop')) : overrides.localDropRate;
+
+        return {
+            transport: params.get('server') === 'local' ? 'local' : (overrides.transport || 'websocket'),
+            serverUrl: overrides.serverUrl || SERVER_URL,
+            localBots: Number.isFinite(bots) ? bots : 0,
+            localDropRate: Number.isFinite(dropRate) ? dropRate : 0,
+            reconnect: { ...DEFAULT_RECONNECT_POLICY, ...overrides.reconnect },
+        };
+    }
+
     /**
      * Disconnect from the server
      */
     function disconnect() {
-        reconnectAttempts = MAX_RECONNECT_ATTEMPTS; // Prevent auto-reconnect
+        manualDisconnect = true; // Prevent auto-reconnect
+        clearReconnectTimer();
+        stopHeartbeat();
+        waitingForNetwork = false;
         if (socket) {
             socket.close();
             socket = null;
@@ -76,10 +157,14 @@ const WebSocketClient = (function() {
         console.log('[WS] Connected to server');
         isConnected = true;
         reconnectAttempts = 0;
+        performHandshake();
 
-        if (handlers.onConnect) {
-            handlers.onConnect();
+        // A fresh socket is anonymous to the server - reclaim our seat first
+        if (activeSession) {
+            resumeSession();
         }
+
+        emitter.emit('connect');
     }
 
     /**
@@ -89,18 +174,14 @@ const WebSocketClient = (function() {
         console.log('[WS] Disconnected from server', event.code, event.reason);
         isConnected = false;
         socket = null;
+        stopHeartbeat();
 
-        if (handlers.onDisconnect) {
-            handlers.onDisconnect();
-        }
+        rejectPendingRequests('DISCONNECTED', 'Connection to the server was lost');
 
-        // Attempt to reconnect
-        if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
-            reconnectAttempts++;
-            console.log(`[WS] Reconnecting in ${RECONNECT_DELAY}ms (attempt ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
-            setTimeout(connect, RECONNECT_DELAY);
-        } else {
-            console.log('[WS] Max reconnection attempts reached');
+        emitter.emit('disconnect', event);
+
+        if (!manualDisconnect) {
+            scheduleReconnect();
         }
     }
 
@@ -110,9 +191,7 @@ const WebSocketClient = (function() {
     function handleError(error) {
         console.error('[WS] Error:', error);
 
-        if (handlers.onError) {
-            handlers.onError(error);
-        }
+        emitter.emit('error', error);
     }
 
     /**
@@ -121,16 +200,373 @@ const WebSocketClient = (function() {
     function handleMessage(event) {
         try {
             const message = JSON.parse(event.data);
-            console.log('[WS] Received:', message.type);
+            if (!QUIET_TYPES.includes(message.type)) {
+                console.log('[WS] Received:', message.type);
+            }
 
-            if (handlers.onMessage) {
-                handlers.onMessage(message);
+            // Raw traffic for debugging tools, before validation can drop it
+            emitter.emit('received', message);
+
+            // Newer servers may send types we don't know yet; nothing here could act on them
+            if (message && typeof message.type === 'string' && !Protocol.messageTypes.inbound.includes(message.type)) {
+                console.warn('[WS] Ignoring unknown message type:', message.type);
+                reportMismatch(message.type, `The server sent a message this page does not know (${message.type}) - it may be newer than this page`);
+                return;
+            }
+
+            const problems = Protocol.validate('inbound', message);
+            if (problems.length > 0) {
+                handleInvalidMessage(message, problems);
+                return;
+            }
+
+            // Servers without the handshake reject HELLO; that is the handshake's business, not the UI's
+            if (isHelloRejection(message)) {
+                settleRequest(message);
+                return;
+            }
+
+            trackSession(message);
+
+            if (message.type === 'PONG') {
+                handlePong(message);
             }
+
+            emitter.emit('message', message);
+            emitter.emit(message.type, message);
+
+            settleRequest(message);
         } catch (error) {
             console.error('[WS] Error parsing message:', error);
         }
     }
 
+    // ==========================================
+    // RECONNECTION
+    // ==========================================
+
+    /**
+     * Schedule the next reconnect attempt using exponential backoff with jitter
+     * While the browser is offline we wait for the 'online' event instead
+     */
+    function scheduleReconnect() {
+        const policy = config.reconnect;
+
+        if (navigator.onLine === false) {
+            waitingForNetwork = true;
+            retryAt = null;
+            console.log('[WS] Offline - waiting for network before reconnecting');
+            notifyReconnecting();
+            return;
+        }
+
+        if (reconnectAttempts >= policy.maxAttempts) {
+            console.log('[WS] Max reconnection attempts reached');
+            retryAt = null;
+            emitter.emit('reconnectFailed');
+            return;
+        }
+
+        const delay = getBackoffDelay(reconnectAttempts);
+        reconnectAttempts++;
+        retryAt = Date.now() + delay;
+        reconnectTimer = setTimeout(connect, delay);
+
+        console.log(`[WS] Reconnecting in ${delay}ms (attempt ${reconnectAttempts})`);
+        notifyReconnecting();
+    }
+
+    /**
+     * Delay before the given (zero-based) attempt
+     * @param {number} attempt - Number of attempts already made
+     * @returns {number} Delay in ms
+     */
+    function getBackoffDelay(attempt) {
+        const policy = config.reconnect;
+        const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, attempt));
+        const spread = base * policy.jitter;
+        const jittered = base - spread + Math.random() * spread * 2;
+        return Math.round(Math.max(0, Math.min(policy.maxDelay, jittered)));
+    }
+
+    function notifyReconnecting() {
+        emitter.emit('reconnecting', {
+            attempt: reconnectAttempts,
+            retryAt,
+            offline: waitingForNetwork,
+        });
+    }
+
+    function clearReconnectTimer() {
+        if (reconnectTimer) {
+            clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+        }
+        retryAt = null;
+    }
+
+    /**
+     * Skip the remaining backoff wait and try immediately
+     */
+    function retryNow() {
+        if (isConnected) return;
+        waitingForNetwork = false;
+        connect();
+    }
+
+    function handleOnline() {
+        if (!waitingForNetwork && !reconnectTimer) return;
+        console.log('[WS] Network is back - reconnecting');
+        waitingForNetwork = false;
+        reconnectAttempts = 0;
+        connect();
+    }
+
+    function handleOffline() {
+        if (!reconnectTimer) return;
+        // No point burning attempts while there is no network at all
+        clearReconnectTimer();
+        waitingForNetwork = true;
+        notifyReconnecting();
+    }
+
+    // ==========================================
+    // PROTOCOL HANDSHAKE & VALIDATION
+    // ==========================================
+
+    /**
+     * Announce our protocol version; servers that answer with WELCOME tell us their features
+     * Servers that predate the handshake (no WELCOME) are used in legacy mode, without features
+     */
+    function performHandshake() {
+        serverFeatures = [];
+
+        request({
+            type: 'HELLO',
+            protocolVersion: Protocol.VERSION,
+            client: CLIENT_NAME,
+            features: Protocol.CLIENT_FEATURES,
+        }, ['WELCOME'], HANDSHAKE_TIMEOUT)
+            .then(handleWelcome)
+            .catch((error) => {
+                if (error.code === 'DISCONNECTED' || error.code === 'NOT_CONNECTED') return;
+                console.warn('[WS] No WELCOME from the server - using legacy mode without features:', error.message);
+                reportMismatch('legacy', 'This server is older than this page - newer game options are unavailable');
+                emitter.emit('handshake', { protocolVersion: null, features: [] });
+            });
+    }
+
+    function isHelloRejection(message) {
+        if (!ERROR_REPLIES.includes(message.type)) return false;
+        const requestId = findRequest(message);
+        return Boolean(requestId) && pendingRequests.get(requestId).type === 'HELLO';
+    }
+
+    function handleWelcome(welcome) {
+        const problem = Protocol.checkCompatibility(welcome);
+        if (problem) {
+            reportProtocolError(true, `Incompatible server: ${problem}`);
+            disconnect(); // Retrying won't help
+            return;
+        }
+
+        serverFeatures = welcome.features || [];
+        console.log(`[WS] Protocol v${welcome.protocolVersion}, features:`, serverFeatures.join(', ') || 'none');
+
+        if (serverFeatures.includes('heartbeat')) {
+            startHeartbeat();
+        }
+
+        emitter.emit('handshake', { protocolVersion: welcome.protocolVersion, features: serverFeatures });
+    }
+
+    /**
+     * Drop a message that doesn't match the schema instead of letting it reach the UI
+     */
+    function handleInvalidMessage(message, problems) {
+        console.error(`[WS] Invalid ${message && message.type} message:`, problems);
+
+        if (message && message.requestId && pendingRequests.has(message.requestId)) {
+            const pending = pendingRequests.get(message.requestId);
+            pendingRequests.delete(message.requestId);
+            clearTimeout(pending.timer);
+            pending.reject(createRequestError('INVALID_MESSAGE', 'The server sent an invalid reply', message));
+        }
+
+        reportProtocolError(false, `Received an invalid ${(message && message.type) || 'message'} from the server`, problems);
+    }
+
+    /**
+     * @param {boolean} fatal - True when the connection was abandoned because of it
+     * @param {string} text - Human-readable summary
+     * @param {Array<string>} details - Individual problems
+     */
+    function reportProtocolError(fatal, text, details = []) {
+        emitter.emit('protocolError', { fatal, message: text, details });
+    }
+
+    /**
+     * Non-fatal version mismatch: the game goes on, but the player should know why something is missing
+     * @param {string} key - Reported once per page for each key
+     */
+    function reportMismatch(key, text) {
+        if (reportedMismatches.has(key)) return;
+        reportedMismatches.add(key);
+        reportProtocolError(false, text);
+    }
+
+    // ==========================================
+    // HEARTBEAT & LATENCY
+    // ==========================================
+
+    function startHeartbeat() {
+        stopHeartbeat();
+        sendPing();
+        heartbeatTimer = setInterval(sendPing, HEARTBEAT_INTERVAL);
+    }
+
+    function stopHeartbeat() {
+        clearInterval(heartbeatTimer);
+        clearTimeout(pongTimer);
+        heartbeatTimer = null;
+        pongTimer = null;
+        pendingPings.clear();
+    }
+
+    /**
+     * Ping the server, reporting our own latency so it can share it with other players
+     * Only used with servers that advertise the 'heartbeat' feature
+     */
+    function sendPing() {
+        const pingId = nextPingId++;
+        pendingPings.set(pingId, performance.now());
+
+        send({
+            type: 'PING',
+            pingId,
+            latency: latency.rtt === null ? null : Math.round(latency.rtt),
+        });
+
+        if (!pongTimer) {
+            pongTimer = setTimeout(handleHeartbeatTimeout, HEARTBEAT_TIMEOUT);
+        }
+    }
+
+    function handlePong(message) {
+        const sentAt = pendingPings.get(message.pingId);
+        if (sentAt === undefined) return;
+
+        pendingPings.clear(); // Older pings are answered implicitly
+        clearTimeout(pongTimer);
+        pongTimer = null;
+
+        recordLatency(performance.now() - sentAt);
+    }
+
+    /**
+     * No pong in time - the socket is dead even if the browser hasn't noticed
+     */
+    function handleHeartbeatTimeout() {
+        pongTimer = null;
+        if (!socket) return;
+
+        console.warn('[WS] Heartbeat timed out - dropping connection');
+        const deadSocket = socket;
+        deadSocket.onopen = deadSocket.onclose = deadSocket.onerror = deadSocket.onmessage = null;
+        try {
+            deadSocket.close(4000, 'Heartbeat timeout');
+        } catch (error) {
+            // Already closing
+        }
+        handleClose({ code: 4000, reason: 'Heartbeat timeout' });
+    }
+
+    /**
+     * Update smoothed RTT and jitter (RFC 3550 style exponential averages)
+     * @param {number} sample - Measured round trip in ms
+     */
+    function recordLatency(sample) {
+        if (latency.rtt === null) {
+            latency.rtt = sample;
+        } else {
+            latency.rtt += (sample - latency.rtt) * 0.2;
+        }
+        if (latency.lastSample !== null) {
+            latency.jitter += (Math.abs(sample - latency.lastSample) - latency.jitter) * 0.2;
+        }
+        latency.lastSample = sample;
+
+        emitter.emit('latency', getLatency());
+    }
+
+    /**
+     * Current connection quality
+     * @returns {{rtt: number|null, jitter: number, quality: string}} quality is good, fair, poor or unknown
+     */
+    function getLatency() {
+        return {
+            rtt: latency.rtt === null ? null : Math.round(latency.rtt),
+            jitter: Math.round(latency.jitter),
+            quality: rateLatency(latency.rtt, latency.jitter),
+        };
+    }
+
+    function rateLatency(rtt, jitter) {
+        if (rtt === null) return 'unknown';
+        if (rtt < 100 && jitter < 30) return 'good';
+        if (rtt < 250 && jitter < 80) return 'fair';
+        return 'poor';
+    }
+
+    // ==========================================
+    // SESSION RESUME
+    // ==========================================
+
+    /**
+     * Remember the rejoin token the server hands out with our seat
+     * Servers that don't issue tokens simply never make us resumable
+     */
+    function trackSession(message) {
+        switch (message.type) {
+            case 'SESSION_CREATED':
+            case 'SESSION_JOINED':
+            case 'SESSION_RESUMED':
+                resuming = false;
+                activeSession = message.rejoinToken && message.playerId ? {
+                    sessionId: message.sessionId || message.gameState.sessionId,
+                    playerId: message.playerId,
+                    rejoinToken: message.rejoinToken,
+                } : null;
+                break;
+        }
+    }
+
+    /**
+     * Ask the server to hand our previous seat to this connection
+     * The server answers with SESSION_RESUMED (fresh gameState); any rejection
+     * (RESUME_FAILED or a plain ERROR) gives up the seat and emits resumeFailed
+     */
+    function resumeSession() {
+        console.log('[WS] Resuming session', activeSession.sessionId);
+        resuming = true;
+
+        request({
+            type: 'RESUME_SESSION',
+            sessionId: activeSession.sessionId,
+            playerId: activeSession.playerId,
+            rejoinToken: activeSession.rejoinToken,
+        }, ['SESSION_RESUMED'])
+            .catch((error) => {
+                resuming = false;
+                // The next connection tries again
+                if (error.code === 'DISCONNECTED' || error.code === 'NOT_CONNECTED') return;
+
+                console.warn('[WS] Session could not be resumed:', error.message);
+                activeSession = null;
+                emitter.emit('resumeFailed', { reason: error.reply ? error.reply.reason || error.reply.message : error.message });
+            });
+    }
+
     // ==========================================
     // MESSAGE SENDING
     // ==========================================
@@ -140,6 +576,19 @@ const WebSocketClient = (function() {
      * @param {Object} message - Message object to send
      */
     function send(message) {
+        const problems = Protocol.validate('outbound', message);
+        if (problems.length > 0) {
+            console.error(`[WS] Refusing to send invalid ${message.type}:`, problems);
+            return false;
+        }
+
+        return transmit(message);
+    }
+
+    /**
+     * Put an already validated message on the socket
+     */
+    function transmit(message) {
         if (!socket || socket.readyState !== WebSocket.OPEN) {
             console.error('[WS] Cannot send - not connected');
             return false;
@@ -147,7 +596,10 @@ const WebSocketClient = (function() {
 
         try {
             socket.send(JSON.stringify(message));
-            console.log('[WS] Sent:', message.type);
+            if (!QUIET_TYPES.includes(message.type)) {
+                console.log('[WS] Sent:', message.type);
+            }
+            emitter.emit('sent', message);
             return true;
         } catch (error) {
             console.error('[WS] Error sending message:', error);
@@ -155,6 +607,96 @@ const WebSocketClient = (function() {
         }
     }
 
+    // ==========================================
+    // REQUEST / ACKNOWLEDGE
+    // ==========================================
+
+    /**
+     * Send a message tagged with a requestId and wait for the server's answer
+     * @param {Object} message - Message object to send
+     * @param {Array<string>} expect - Reply types that acknowledge this request
+     * @param {number} timeout - ms to wait for the reply
+     * @returns {Promise<Object>} Resolves with the reply, rejects with an Error carrying a code
+     *   (NOT_CONNECTED, INVALID_MESSAGE, TIMEOUT, DISCONNECTED, SERVER_ERROR, PLACEMENT_INVALID)
+     */
+    function request(message, expect, timeout = REQUEST_TIMEOUT) {
+        const requestId = `r${nextRequestId++}`;
+
+        return new Promise((resolve, reject) => {
+            const problems = Protocol.validate('outbound', { ...message, requestId });
+            if (problems.length > 0) {
+                reject(createRequestError('INVALID_MESSAGE', `Invalid ${message.type}: ${problems.join('; ')}`));
+                return;
+            }
+
+            if (!transmit({ ...message, requestId })) {
+                reject(createRequestError('NOT_CONNECTED', 'Not connected to the server'));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                pendingRequests.delete(requestId);
+                reject(createRequestError('TIMEOUT', 'The server did not respond in time'));
+            }, timeout);
+
+            pendingRequests.set(requestId, { type: message.type, expect, resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Resolve or reject the request a server message answers
+     * Servers that don't echo requestId are matched to the oldest request expecting that reply
+     */
+    function settleRequest(message) {
+        const isError = ERROR_REPLIES.includes(message.type);
+        const requestId = findRequest(message);
+        if (!requestId) return;
+
+        const pending = pendingRequests.get(requestId);
+        pendingRequests.delete(requestId);
+        clearTimeout(pending.timer);
+
+        if (isError) {
+            const code = message.type === 'PLACEMENT_INVALID' ? 'PLACEMENT_INVALID' : 'SERVER_ERROR';
+            pending.reject(createRequestError(code, message.reason || message.message || 'Request failed', message));
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    /**
+     * @returns {string|null} requestId of the pending request a server message answers
+     */
+    function findRequest(message) {
+        if (message.requestId) {
+            return pendingRequests.has(message.requestId) ? message.requestId : null;
+        }
+
+        const isError = ERROR_REPLIES.includes(message.type);
+        for (const [id, pending] of pendingRequests) {
+            const matches = isError
+                ? message.type !== 'PLACEMENT_INVALID' || pending.type === 'PLACE_MAGNET'
+                : pending.expect.includes(message.type);
+            if (matches) return id;
+        }
+        return null;
+    }
+
+    function rejectPendingRequests(code, text) {
+        for (const pending of pendingRequests.values()) {
+            clearTimeout(pending.timer);
+            pending.reject(createRequestError(code, text));
+        }
+        pendingRequests.clear();
+    }
+
+    function createRequestError(code, text, reply = null) {
+        const error = new Error(text);
+        error.code = code;
+        error.reply = reply;
+        return error;
+    }
+
     // ==========================================
     // GAME-SPECIFIC MESSAGES
     // ==========================================
@@ -163,43 +705,55 @@ const WebSocketClient = (function() {
      * Create a new game session
      * @param {string} playerName - Player's display name
      * @param {string} shapeType - Selected shape type
+     * @param {Object} [options] - Optional game settings
+     * @param {Object} [options.customShape] - Outline for a custom shape ({ name, primitives }, see ShapeImport)
+     * @param {Object} [options.shifting] - Shifting board mode ({ mode: 'rotate' | 'shrink', every })
+     * @param {boolean} [options.allowHeatmap=true] - False turns the safe-zone heatmap off for everyone
+     * @returns {Promise<Object>} SESSION_CREATED reply
      */
-    function createSession(playerName, shapeType) {
-        return send({
+    function createSession(playerName, shapeType, { customShape, shifting, allowHeatmap = true } = {}) {
+        return request({
             type: 'CREATE_SESSION',
             playerName,
             shapeType,
-        });
+            ...(customShape && { customShape }),
+            ...(shifting && { shifting }),
+            ...(!allowHeatmap && { allowHeatmap }),
+        }, ['SESSION_CREATED']);
     }
 
     /**
      * Join an existing game session
      * @param {string} sessionId - Session code to join
      * @param {string} playerName - Player's display name
+     * @returns {Promise<Object>} SESSION_JOINED reply
      */
     function joinSession(sessionId, playerName) {
-        return send({
+        return request({
             type: 'JOIN_SESSION',
             sessionId: sessionId.toUpperCase(),
             playerName,
-        });
+        }, ['SESSION_JOINED']);
     }
 
     /**
      * Place a magnet at the specified position
      * @param {{x: number, y: number}} position - Canvas coordinates
+     * @returns {Promise<Object>} MAGNET_PLACED reply
      */
     function placeMagnet(position) {
-        return send({
+        return request({
             type: 'PLACE_MAGNET',
             position,
-        });
+        }, ['MAGNET_PLACED']);
     }
 
     /**
      * Leave the current session
      */
     function leaveSession() {
+        activeSession = null;
+        resuming = false;
         return send({
             type: 'LEAVE_SESSION',
         });
@@ -207,11 +761,22 @@ const WebSocketClient = (function() {
 
     /**
      * Start the game (host only)
+     * @returns {Promise<Object>} GAME_STARTED reply
      */
     function startGame() {
-        return send({
+        return request({
             type: 'START_GAME',
-        });
+        }, ['GAME_STARTED']);
+    }
+
+    /**
+     * Ask for the full game state, e.g. after missing a delta
+     * @returns {Promise<Object>} STATE_SNAPSHOT reply
+     */
+    function requestSnapshot() {
+        return request({
+            type: 'REQUEST_SNAPSHOT',
+        }, ['STATE_SNAPSHOT']);
     }
 
     // ==========================================
@@ -219,25 +784,31 @@ const WebSocketClient = (function() {
     // ==========================================
 
     /**
-     * Register event handlers
-     * @param {string} event - Event name (connect, disconnect, error, message)
+     * Subscribe to a client event or a server message type
+     * Lifecycle events: connect, disconnect, error, message, reconnecting, reconnectFailed,
+     * latency, handshake, protocolError, resumeFailed, sent and received (raw traffic, for debugging tools)
+     * Message types: any server message type, e.g. on('MAGNET_PLACED', fn)
+     * @param {string} event - Event name or message type
      * @param {Function} handler - Event handler function
+     * @returns {Function} Call to unsubscribe
      */
     function on(event, handler) {
-        switch (event) {
-            case 'connect':
-                handlers.onConnect = handler;
-                break;
-            case 'disconnect':
-                handlers.onDisconnect = handler;
-                break;
-            case 'error':
-                handlers.onError = handler;
-                break;
-            case 'message':
-                handlers.onMessage = handler;
-                break;
-        }
+        return emitter.on(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @returns {Function} Call to unsubscribe
+     */
+    function once(event, handler) {
+        return emitter.once(event, handler);
+    }
+
+    /**
+     * Unsubscribe a handler (or all handlers of the event when omitted)
+     */
+    function off(event, handler) {
+        emitter.off(event, handler);
     }
 
     // ==========================================
@@ -246,13 +817,22 @@ const WebSocketClient = (function() {
     return {
         connect,
         disconnect,
+        retryNow,
         on,
+        once,
+        off,
         createSession,
         joinSession,
         placeMagnet,
         leaveSession,
         startGame,
+        requestSnapshot,
         isConnected: () => isConnected,
+        isResuming: () => resuming,
+        getLatency,
+        getServerFeatures: () => serverFeatures.slice(),
+        rateLatency,
+        isLocal: () => config.transport === 'local',
     };
 })();
 